@@ -0,0 +1,112 @@
+import youtubeSource from './youtube.js';
+import { createStubSource } from './stub.js';
+import { listeningHistory } from '../history.js';
+import { cleanTrackTitle } from '../lyrics/index.js';
+
+// A source is { name, related(seed, { limit }) } resolving to candidate tracks
+// [{ title, url, duration, thumbnail, artist }]. Seeds are recently played
+// tracks ({ title, url, artist, duration }), newest first.
+
+// Songs played within this many hours are never picked again (0 = no limit).
+const RECENT_HOURS = Math.max(0, Number(process.env.AUTOPLAY_RECENT_HOURS ?? '6') || 0);
+// Longer picks (and live streams, which have no duration) are skipped (0 = no limit).
+const MAX_DURATION_SEC = Math.max(0, Number(process.env.AUTOPLAY_MAX_DURATION_MINUTES ?? '10') || 0) * 60;
+const SEED_COUNT = 3;
+// Older history the extra seed is drawn from, so radio doesn't orbit one artist.
+const HISTORY_SEED_WINDOW = 25;
+const CANDIDATES_PER_SEED = 10;
+
+export const AUTOPLAY_REQUESTER = 'Autoplay';
+
+// Re-uploads share a cleaned title even when their URLs differ.
+function titleKey(track) {
+  return cleanTrackTitle(track.title, track.artist).title.toLowerCase();
+}
+
+export class AutoplayService {
+  constructor(source) {
+    this.source = source;
+  }
+
+  // Swaps the related-track source (e.g. a stub source in local testing).
+  setSource(source) {
+    this.source = source;
+    return this;
+  }
+
+  // Seeds are the last few tracks the queue played, topped up from listening
+  // history, plus one random older play from history.
+  _pickSeeds(guildId, recentTracks) {
+    const history = listeningHistory.list(guildId).slice(0, HISTORY_SEED_WINDOW);
+    const seeds = [];
+    const seen = new Set();
+    const addSeed = track => {
+      const key = track?.url || track?.title;
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      seeds.push({ title: track.title, url: track.url || null, artist: track.artist || null, duration: track.duration ?? null });
+    };
+    for (const track of [...recentTracks, ...history]) {
+      if (seeds.length >= SEED_COUNT) break;
+      addSeed(track);
+    }
+    const older = history.filter(entry => !seen.has(entry.url || entry.title));
+    if (older.length) addSeed(older[Math.floor(Math.random() * older.length)]);
+    return seeds;
+  }
+
+  // Returns a queue-ready track labelled as requested by Autoplay, or null when
+  // no candidate passes the recently-played and duration filters. `exclude`
+  // lists tracks that must not be picked (e.g. the rest of the queue).
+  async pickNext(guildId, { recentTracks = [], exclude = [] } = {}) {
+    const seeds = this._pickSeeds(guildId, recentTracks);
+    if (!seeds.length) return null;
+
+    const blockedUrls = new Set();
+    const blockedTitles = new Set();
+    const block = track => {
+      if (track?.url) blockedUrls.add(track.url);
+      if (track?.title) blockedTitles.add(titleKey(track));
+    };
+    [...seeds, ...recentTracks, ...exclude].forEach(block);
+    if (RECENT_HOURS) {
+      listeningHistory.list(guildId, { since: Date.now() - RECENT_HOURS * 60 * 60 * 1000 }).forEach(block);
+    }
+
+    for (const seed of seeds) {
+      let candidates = [];
+      try {
+        candidates = await this.source.related(seed, { limit: CANDIDATES_PER_SEED });
+      } catch (err) {
+        console.warn(`[autoplay] ${this.source.name} lookup failed for "${seed.title}":`, err.message);
+        continue;
+      }
+      const pick = (candidates || []).find(track => track?.url && track.title
+        && !blockedUrls.has(track.url)
+        && !blockedTitles.has(titleKey(track))
+        && (!MAX_DURATION_SEC || (track.duration > 0 && track.duration <= MAX_DURATION_SEC)));
+      if (!pick) continue;
+      return {
+        title: pick.title,
+        url: pick.url,
+        requestedBy: AUTOPLAY_REQUESTER,
+        requesterId: null,
+        duration: pick.duration,
+        thumbnail: pick.thumbnail || null,
+        artist: pick.artist || null,
+        source: pick.source || 'youtube',
+        autoplay: true,
+      };
+    }
+    return null;
+  }
+}
+
+function createDefaultSource() {
+  if ((process.env.AUTOPLAY_SOURCE || '').toLowerCase() === 'stub') {
+    return createStubSource(process.env.AUTOPLAY_STUB_FILE || 'autoplay-stub.json');
+  }
+  return youtubeSource;
+}
+
+export const autoplayService = new AutoplayService(createDefaultSource());
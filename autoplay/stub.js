@@ -0,0 +1,24 @@
+import fs from 'node:fs';
+
+// Offline source backed by a JSON array of { title, url, duration, artist?,
+// thumbnail? } entries, offered in order for every seed. Used with
+// AUTOPLAY_SOURCE=stub to exercise autoplay without network access.
+export function createStubSource(tracksOrPath) {
+  let tracks = tracksOrPath;
+  if (typeof tracksOrPath === 'string') {
+    try {
+      tracks = JSON.parse(fs.readFileSync(tracksOrPath, 'utf8'));
+    } catch (err) {
+      console.warn(`[autoplay] failed to read stub ${tracksOrPath}:`, err.message);
+      tracks = [];
+    }
+  }
+  if (!Array.isArray(tracks)) tracks = [];
+
+  return {
+    name: 'stub',
+    async related(seed, { limit = 10 } = {}) {
+      return tracks.filter(track => track.url !== seed.url).slice(0, limit);
+    },
+  };
+}
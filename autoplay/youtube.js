@@ -0,0 +1,28 @@
+import playdl from 'play-dl';
+import { cleanTrackTitle } from '../lyrics/index.js';
+
+function thumbnailOf(video) {
+  const thumbs = video.thumbnails || [];
+  return thumbs.length ? (thumbs[thumbs.length - 1].url || thumbs[0].url) : null;
+}
+
+// Searches YouTube around the seed's artist. One search per seed is far cheaper
+// than fetching each related video's details, and stays close to the genre.
+export default {
+  name: 'YouTube',
+  async related(seed, { limit = 10 } = {}) {
+    const { title, artist } = cleanTrackTitle(seed.title, seed.artist);
+    const terms = artist ? `${artist} songs` : `${title} similar songs`;
+    const results = await playdl.search(terms, { limit, source: { youtube: 'video' } });
+    return results
+      .filter(video => video?.url || video?.id)
+      .map(video => ({
+        title: video.title || 'Untitled',
+        url: video.url || `https://www.youtube.com/watch?v=${video.id}`,
+        duration: typeof video.durationInSec === 'number' ? video.durationInSec : null,
+        thumbnail: thumbnailOf(video),
+        artist: video.channel?.name || null,
+        source: 'youtube',
+      }));
+  },
+};
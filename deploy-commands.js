@@ -15,12 +15,30 @@ if (!token || !clientId) {
 const commands = [
   {
     name: 'play',
-    description: 'Play a song by title or YouTube link',
+    description: 'Play a song by title or link (YouTube, Spotify, SoundCloud, Bandcamp, audio URL)',
     options: [
       {
         name: 'query',
         type: 3, // STRING
-        description: 'Song title or YouTube link',
+        description: 'Song title or link',
+        required: true
+      },
+      {
+        name: 'position',
+        type: 3, // STRING
+        description: 'Where to queue it: next, now, or a queue number (default: end)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'playnext',
+    description: 'Queue a song or playlist to play right after the current one',
+    options: [
+      {
+        name: 'query',
+        type: 3, // STRING
+        description: 'Song title or link',
         required: true
       }
     ]
@@ -34,18 +52,106 @@ const commands = [
         type: 3, // STRING
         description: 'Song title or artist to search for',
         required: true
+      },
+      {
+        name: 'position',
+        type: 3, // STRING
+        description: 'Where to queue it: next, now, or a queue number (default: end)',
+        required: false
       }
     ]
   },
   {
     name: 'download',
-    description: 'Download media from social links and attach if <=8MB',
+    description: 'Download media from social links, attached up to the server\'s upload limit',
     options: [
       {
         name: 'url',
         type: 3,
         description: 'Media URL (X/Twitter, Reddit, TikTok, Instagram, Facebook)',
         required: true
+      },
+      {
+        name: 'format',
+        type: 3,
+        description: 'Video (default), audio only, or an animated GIF/WebP of a short clip',
+        required: false,
+        choices: [
+          { name: 'Video', value: 'video' },
+          { name: 'Audio', value: 'audio' },
+          { name: 'GIF', value: 'gif' }
+        ]
+      },
+      {
+        name: 'quality',
+        type: 3,
+        description: 'Starting quality; smaller ones are tried if the file is too big',
+        required: false,
+        choices: [
+          { name: 'Best', value: 'best' },
+          { name: '720p', value: '720p' },
+          { name: '480p', value: '480p' },
+          { name: 'Smallest', value: 'smallest' }
+        ]
+      },
+      {
+        name: 'audio_codec',
+        type: 3,
+        description: 'File type for audio downloads (default mp3)',
+        required: false,
+        choices: [
+          { name: 'MP3', value: 'mp3' },
+          { name: 'Opus', value: 'opus' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'embedfix',
+    description: 'Automatic fixed embeds for social links posted in chat.',
+    default_member_permissions: '32', // MANAGE_GUILD
+    options: [
+      {
+        name: 'server',
+        type: 1,
+        description: 'Turn embed-fix on or off for the whole server.',
+        options: [
+          {
+            name: 'enabled',
+            type: 5, // BOOLEAN
+            description: 'Fix links in this server',
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'channel',
+        type: 1,
+        description: 'Override embed-fix for one channel.',
+        options: [
+          {
+            name: 'mode',
+            type: 3,
+            description: 'On, off, or follow the server setting',
+            required: true,
+            choices: [
+              { name: 'On', value: 'on' },
+              { name: 'Off', value: 'off' },
+              { name: 'Server default', value: 'default' }
+            ]
+          },
+          {
+            name: 'channel',
+            type: 7, // CHANNEL
+            description: 'Channel to change (defaults to this one)',
+            required: false
+          }
+        ]
+      },
+      {
+        name: 'status',
+        type: 1,
+        description: 'Show where embed-fix is active.'
       }
     ]
   },
@@ -69,22 +175,398 @@ const commands = [
     name: 'shuffle',
     description: 'Shuffle the queue'
   },
+  {
+    name: 'filter',
+    description: 'Apply an audio filter to playback, or clear it',
+    options: [
+      {
+        name: 'name',
+        type: 3, // STRING
+        description: 'Filter to apply',
+        required: true,
+        choices: [
+          { name: 'Bass Boost', value: 'bassboost' },
+          { name: 'Nightcore', value: 'nightcore' },
+          { name: 'Vaporwave', value: 'vaporwave' },
+          { name: '8D', value: '8d' },
+          { name: 'Speed', value: 'speed' },
+          { name: 'Pitch', value: 'pitch' },
+          { name: 'Clear', value: 'clear' }
+        ]
+      },
+      {
+        name: 'amount',
+        type: 10, // NUMBER
+        description: 'Rate for speed/pitch, 0.5-2 (default 1.25 / 1.2)',
+        required: false,
+        min_value: 0.5,
+        max_value: 2
+      }
+    ]
+  },
+  {
+    name: 'history',
+    description: 'Recently played songs, with buttons to queue them again',
+    options: [
+      {
+        name: 'user',
+        type: 6, // USER
+        description: 'Only songs this member requested',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'musicstats',
+    description: 'Top tracks, top requesters, hours listened and skip rate',
+    options: [
+      {
+        name: 'window',
+        type: 3, // STRING
+        description: 'Time window (default: 7 days)',
+        required: false,
+        choices: [
+          { name: 'Last 24 hours', value: '24h' },
+          { name: 'Last 7 days', value: '7d' },
+          { name: 'Last 30 days', value: '30d' },
+          { name: 'All time', value: 'all' }
+        ]
+      },
+      {
+        name: 'user',
+        type: 6, // USER
+        description: 'Stats for one member instead of the whole server',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'fairqueue',
+    description: 'Rotate upcoming songs between requesters instead of playing in order added',
+    options: [
+      {
+        name: 'enabled',
+        type: 5, // BOOLEAN
+        description: 'Turn fair queue on or off',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'autoplay',
+    description: 'Keep playing related songs when the queue runs out',
+    options: [
+      {
+        name: 'enabled',
+        type: 5, // BOOLEAN
+        description: 'Turn autoplay on or off',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'move',
+    description: 'Move a song to another position in the queue',
+    options: [
+      {
+        name: 'from',
+        type: 4, // INTEGER
+        description: 'Song number to move',
+        required: true
+      },
+      {
+        name: 'to',
+        type: 4, // INTEGER
+        description: 'New song number',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'swap',
+    description: 'Swap two songs in the queue',
+    options: [
+      {
+        name: 'a',
+        type: 4, // INTEGER
+        description: 'First song number',
+        required: true
+      },
+      {
+        name: 'b',
+        type: 4, // INTEGER
+        description: 'Second song number',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'skipto',
+    description: 'Skip to a song in the queue, dropping the ones before it',
+    options: [
+      {
+        name: 'index',
+        type: 4, // INTEGER
+        description: 'Song number',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'clear',
+    description: 'Clear the upcoming songs (keeps the current one playing)'
+  },
+  {
+    name: 'removerange',
+    description: 'Remove a range of songs from the queue',
+    options: [
+      {
+        name: 'start',
+        type: 4, // INTEGER
+        description: 'First song number to remove',
+        required: true
+      },
+      {
+        name: 'end',
+        type: 4, // INTEGER
+        description: 'Last song number to remove',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'removeuser',
+    description: 'Remove every upcoming song requested by a member',
+    options: [
+      {
+        name: 'member',
+        type: 6, // USER
+        description: 'Whose songs to remove',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'dedupe',
+    description: 'Remove duplicate songs from the queue'
+  },
   {
     name: 'volume',
-    description: 'Set playback volume (0-100)',
+    description: 'Set playback volume (0-200)',
     options: [
       {
         name: 'value',
         type: 4,
         description: 'Volume percent',
+        required: true,
+        min_value: 0,
+        max_value: 200
+      }
+    ]
+  },
+  {
+    name: 'loop',
+    description: 'Repeat the current track or the whole queue.',
+    options: [
+      {
+        name: 'mode',
+        type: 3,
+        description: 'Loop mode',
+        required: true,
+        choices: [
+          { name: 'Off', value: 'off' },
+          { name: 'Track', value: 'track' },
+          { name: 'Queue', value: 'queue' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'seek',
+    description: 'Jump to a position in the current song.',
+    options: [
+      {
+        name: 'position',
+        type: 3,
+        description: 'Timestamp, e.g. 1:30 or 90',
         required: true
       }
     ]
   },
+  {
+    name: 'forward',
+    description: 'Fast-forward the current song.',
+    options: [
+      {
+        name: 'seconds',
+        type: 4,
+        description: 'Seconds to skip ahead',
+        required: true,
+        min_value: 1
+      }
+    ]
+  },
+  {
+    name: 'rewind',
+    description: 'Rewind the current song.',
+    options: [
+      {
+        name: 'seconds',
+        type: 4,
+        description: 'Seconds to go back',
+        required: true,
+        min_value: 1
+      }
+    ]
+  },
+  {
+    name: 'playlist',
+    description: 'Save and load named playlists.',
+    options: [
+      {
+        name: 'save',
+        type: 1, // SUB_COMMAND
+        description: 'Save the current queue as a playlist.',
+        options: [
+          { name: 'name', type: 3, description: 'Playlist name', required: true, max_length: 50 },
+          {
+            name: 'scope',
+            type: 3,
+            description: 'Save for yourself or for the whole server',
+            required: false,
+            choices: [
+              { name: 'Personal', value: 'personal' },
+              { name: 'Server', value: 'server' }
+            ]
+          }
+        ]
+      },
+      {
+        name: 'load',
+        type: 1,
+        description: 'Queue a saved playlist.',
+        options: [
+          { name: 'name', type: 3, description: 'Playlist name', required: true, autocomplete: true },
+          {
+            name: 'scope',
+            type: 3,
+            description: 'Where to look (default: personal, then server)',
+            required: false,
+            choices: [
+              { name: 'Personal', value: 'personal' },
+              { name: 'Server', value: 'server' }
+            ]
+          }
+        ]
+      },
+      {
+        name: 'list',
+        type: 1,
+        description: 'List saved playlists.',
+        options: [
+          {
+            name: 'scope',
+            type: 3,
+            description: 'Which playlists to show (default: both)',
+            required: false,
+            choices: [
+              { name: 'Personal', value: 'personal' },
+              { name: 'Server', value: 'server' }
+            ]
+          }
+        ]
+      },
+      {
+        name: 'delete',
+        type: 1,
+        description: 'Delete a saved playlist.',
+        options: [
+          { name: 'name', type: 3, description: 'Playlist name', required: true, autocomplete: true },
+          {
+            name: 'scope',
+            type: 3,
+            description: 'Where to look (default: personal, then server)',
+            required: false,
+            choices: [
+              { name: 'Personal', value: 'personal' },
+              { name: 'Server', value: 'server' }
+            ]
+          }
+        ]
+      }
+    ]
+  },
   {
     name: 'skip',
     description: 'Skip the currently playing song.'
   },
+  {
+    name: 'lyrics',
+    description: 'Show lyrics for the current song or a search.',
+    options: [
+      {
+        name: 'query',
+        type: 3, // STRING
+        description: 'Song to look up (default: what\'s playing)',
+        required: false
+      },
+      {
+        name: 'highlight',
+        type: 5, // BOOLEAN
+        description: 'Highlight the line being sung when synced lyrics exist (default: on)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'voteskip',
+    description: 'Vote to skip the current song.'
+  },
+  {
+    name: 'dj',
+    description: 'Music permissions: DJ role and vote-skip threshold.',
+    default_member_permissions: '32', // MANAGE_GUILD
+    options: [
+      {
+        name: 'role',
+        type: 1,
+        description: 'Only this role (or a song\'s requester) can skip, stop and edit the queue.',
+        options: [
+          {
+            name: 'role',
+            type: 8, // ROLE
+            description: 'DJ role',
+            required: true
+          }
+        ]
+      },
+      {
+        name: 'clear',
+        type: 1,
+        description: 'Remove the DJ role so everyone can control playback.'
+      },
+      {
+        name: 'voteskip',
+        type: 1,
+        description: 'Share of listeners needed for /voteskip to pass.',
+        options: [
+          {
+            name: 'percent',
+            type: 4,
+            description: 'Percent of listeners (1-100)',
+            required: true,
+            min_value: 1,
+            max_value: 100
+          }
+        ]
+      },
+      {
+        name: 'show',
+        type: 1,
+        description: 'Show the current music permission settings.'
+      }
+    ]
+  },
   {
     name: 'stop',
     description: 'Stop playback and clear the queue.'
@@ -125,6 +607,18 @@ const commands = [
       }
     ]
   },
+  {
+    name: 'diagnostics',
+    description: 'Bot health details (admins only).',
+    default_member_permissions: '32', // MANAGE_GUILD
+    options: [
+      {
+        name: 'playback',
+        type: 1,
+        description: 'Stream strategy success rates, latency and fallback order.'
+      }
+    ]
+  },
   {
     name: 'help',
     description: 'Show a list of available commands'
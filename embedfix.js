@@ -0,0 +1,28 @@
+import { guildSettings } from './storage.js';
+
+// Where chat messages get automatic embed-fix replies. Every server starts off
+// and opts in with /embedfix (ENABLE_MESSAGE_CONTENT must be on as well); a
+// channel override (true/false) beats the server setting.
+
+export function getEmbedFixSettings(guildId) {
+  const settings = guildSettings.get(guildId)?.embedFix || {};
+  return { enabled: settings.enabled === true, channels: { ...(settings.channels || {}) } };
+}
+
+export function isEmbedFixEnabled(guildId, channelId) {
+  const { enabled, channels } = getEmbedFixSettings(guildId);
+  return typeof channels[channelId] === 'boolean' ? channels[channelId] : enabled;
+}
+
+export function setGuildEmbedFix(guildId, enabled) {
+  const settings = getEmbedFixSettings(guildId);
+  guildSettings.update(guildId, { embedFix: { ...settings, enabled: Boolean(enabled) } });
+}
+
+// `enabled` null removes the override so the channel follows the server setting.
+export function setChannelEmbedFix(guildId, channelId, enabled) {
+  const settings = getEmbedFixSettings(guildId);
+  if (enabled == null) delete settings.channels[channelId];
+  else settings.channels[channelId] = Boolean(enabled);
+  guildSettings.update(guildId, { embedFix: settings });
+}
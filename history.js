@@ -0,0 +1,90 @@
+import crypto from 'node:crypto';
+import { JsonStore } from './storage.js';
+
+// Oldest plays are dropped past this many per guild to keep the file small.
+const MAX_ENTRIES_PER_GUILD = Math.max(100, Number(process.env.HISTORY_MAX_ENTRIES || '5000') || 5000);
+// Every track start and end touches the file, so writes are batched this long
+// (pending ones are still flushed on exit).
+const HISTORY_SAVE_DELAY_MS = 30_000;
+
+export const STATS_WINDOWS = {
+  '24h': { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  '7d': { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  '30d': { label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  all: { label: 'All time', ms: null },
+};
+
+function countBy(entries, keyOf, describe) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!key) continue;
+    const row = counts.get(key) || { ...describe(entry), count: 0 };
+    row.count += 1;
+    counts.set(key, row);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+// Every track that starts playing, per guild, newest last. Entries are created
+// by GuildQueue when a song starts and finished when it ends or is skipped.
+export class ListeningHistory {
+  constructor(store = new JsonStore('history.json', { saveDelayMs: HISTORY_SAVE_DELAY_MS })) {
+    this.store = store;
+  }
+
+  record(guildId, track, startedAt = Date.now()) {
+    const entry = {
+      id: crypto.randomUUID(),
+      requesterId: track.requesterId ?? null,
+      requestedBy: track.requestedBy || 'Unknown',
+      url: track.url,
+      title: track.title,
+      artist: track.artist ?? null,
+      duration: track.duration ?? null,
+      source: track.source || 'youtube',
+      startedAt,
+      endedAt: null,
+      listenedSec: null,
+      skipped: false,
+    };
+    // Appended in place; set() only marks the store for the next batched write.
+    const entries = this.store.get(guildId) || [];
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES_PER_GUILD) entries.splice(0, entries.length - MAX_ENTRIES_PER_GUILD);
+    this.store.set(guildId, entries);
+    return entry;
+  }
+
+  finish(guildId, entry, { skipped = false, listenedSec = null } = {}) {
+    if (!entry || entry.endedAt) return;
+    entry.endedAt = Date.now();
+    entry.skipped = Boolean(skipped);
+    entry.listenedSec = listenedSec != null ? Math.round(listenedSec) : Math.round((entry.endedAt - entry.startedAt) / 1000);
+    // Entries are shared with the stored array; set() just marks it for saving.
+    this.store.set(guildId, this.store.get(guildId) || []);
+  }
+
+  // Newest first, optionally for one requester and/or since a timestamp.
+  list(guildId, { userId = null, since = null } = {}) {
+    return (this.store.get(guildId) || [])
+      .filter(e => (!userId || e.requesterId === userId) && (!since || e.startedAt >= since))
+      .reverse();
+  }
+
+  stats(guildId, { userId = null, since = null } = {}) {
+    const entries = this.list(guildId, { userId, since });
+    const finished = entries.filter(e => e.endedAt);
+    const skips = finished.filter(e => e.skipped).length;
+    return {
+      plays: entries.length,
+      skips,
+      skipRate: finished.length ? skips / finished.length : null,
+      listenedSec: entries.reduce((sum, e) => sum + (e.listenedSec ?? 0), 0),
+      topTracks: countBy(entries, e => e.url || e.title, e => ({ title: e.title, url: e.url })),
+      topRequesters: countBy(entries, e => e.requesterId || e.requestedBy, e => ({ id: e.requesterId, name: e.requestedBy })),
+    };
+  }
+}
+
+export const listeningHistory = new ListeningHistory();
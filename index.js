@@ -11,15 +11,22 @@ import {
     MessageFlags,
     ActivityType
 } from 'discord.js';
-import { AudioPlayerStatus } from '@discordjs/voice';
 import { REST } from '@discordjs/rest';
 import { generateDependencyReport } from '@discordjs/voice';
 import ffmpeg from 'ffmpeg-static';
 import path from 'node:path';
 import os from 'node:os';
 import fs from 'node:fs/promises';
+import { spawn } from 'node:child_process';
 import dotenv from 'dotenv';
-import { playerManager } from './player.js';
+import { playerManager, MAX_VOLUME, VOLUME_STEP, LOOP_MODES, describeLoopMode, isYouTubeUrl } from './player.js';
+import { playlistStore, PLAYLIST_SCOPES, MAX_PLAYLIST_NAME_LENGTH } from './playlists.js';
+import { streamResolvers } from './streams/index.js';
+import { AUDIO_FILTERS, FILTER_NAMES, createFilter } from './streams/filters.js';
+import { lyricsService, findCurrentLyricLine } from './lyrics/index.js';
+import { listeningHistory, STATS_WINDOWS } from './history.js';
+import { isDj, canManageSongs, getDjRoleId, setDjRoleId, getVoteSkipPercent, setVoteSkipPercent } from './permissions.js';
+import { getEmbedFixSettings, isEmbedFixEnabled, setGuildEmbedFix, setChannelEmbedFix } from './embedfix.js';
 import youtubedl from 'yt-dlp-exec';
 import crypto from 'node:crypto';
 import fetch from 'node-fetch';
@@ -482,6 +489,8 @@ const MAX_ATTACH_MB = RAW_MAX_ATTACH_MB === undefined ? 0 : Number(RAW_MAX_ATTAC
 const MAX_ATTACH_BYTES = (Number.isFinite(MAX_ATTACH_MB) && MAX_ATTACH_MB > 0)
     ? Math.max(1, Math.floor(MAX_ATTACH_MB)) * 1024 * 1024
     : Infinity;
+// Discord's upload cap per server boost tier (premiumTier 0-3); DMs get tier 0.
+const GUILD_UPLOAD_LIMITS = [10, 10, 50, 100].map(mb => mb * 1024 * 1024);
 
 // Privileged intent toggle: only request MessageContent when explicitly enabled
 const ENABLE_MESSAGE_CONTENT = /^(true|1|yes)$/i.test(process.env.ENABLE_MESSAGE_CONTENT || '');
@@ -492,10 +501,58 @@ const intents = [
 ];
 if (ENABLE_MESSAGE_CONTENT) intents.push(GatewayIntentBits.MessageContent);
 const client = new Client({ intents });
-// Map to track download button IDs to URLs (ephemeral lifetime)
+// Download button id -> { url, userId, expiresAt }; swept in the background.
 const downloadRequests = new Map();
+const DOWNLOAD_REQUEST_TTL = 30 * 60 * 1000; // 30 minutes
+const DOWNLOAD_SWEEP_INTERVAL = 5 * 60 * 1000;
+// Button modes map onto /download options; only `video` skips the quality fallback.
+const DOWNLOAD_MODES = {
+    video: { label: 'Download video', emoji: '🎬', options: { format: 'video', quality: 'best', fallback: false } },
+    audio: { label: 'Audio only (mp3)', emoji: '🎵', options: { format: 'audio', quality: 'best', audioCodec: 'mp3' } },
+    best: { label: 'Best under limit', emoji: '📦', options: { format: 'video', quality: 'best' } },
+};
+const DOWNLOAD_FORMATS = ['video', 'audio', 'gif'];
+// Largest first: when a file is over the attachment limit the next one is tried.
+const DOWNLOAD_QUALITIES = ['best', '720p', '480p', 'smallest'];
+const VIDEO_SELECTORS = {
+    best: 'bv*+ba/b',
+    '720p': 'bv*[height<=720]+ba/b[height<=720]/wv*+ba/w',
+    '480p': 'bv*[height<=480]+ba/b[height<=480]/wv*+ba/w',
+    smallest: 'wv*+wa/w',
+};
+const AUDIO_BITRATES = { best: '0', '720p': '192K', '480p': '128K', smallest: '64K' }; // yt-dlp --audio-quality
+const ANIMATION_SIZES = { best: { height: null, fps: 15 }, '720p': { height: 720, fps: 15 }, '480p': { height: 480, fps: 15 }, smallest: { height: 240, fps: 10 } };
+const GIF_MAX_SECONDS = 30;
+// Re-encoding to fit the upload limit: audio bitrate, the lowest video bitrate
+// worth sending (longer clips get a direct link instead) and headroom for the
+// mp4 container.
+const COMPRESS_AUDIO_KBPS = 96;
+const COMPRESS_MIN_VIDEO_KBPS = 150;
+const COMPRESS_SIZE_MARGIN = 0.95;
+const COMPRESS_PROGRESS_INTERVAL = 4000;
+// encodeTwoPass never outputs more than 1080p, so the source needn't be bigger.
+const COMPRESS_SOURCE_SELECTOR = 'bv*[height<=1080]+ba/b[height<=1080]/wv*+ba/w';
+// Both passes (and the retry) together; the interaction token lasts 15 minutes.
+const COMPRESS_TIMEOUT_MS = 8 * 60_000;
+const FFMPEG_BIN = process.env.FFMPEG_PATH || ffmpeg;
+const GALLERY_FILES_PER_MESSAGE = 10; // Discord's attachment limit per message
+const GALLERY_MAX_ITEMS = 40;
+const GALLERY_ITEM_TIMEOUT = 30_000; // per file, download included
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, request] of downloadRequests) {
+        if (request.expiresAt <= now) downloadRequests.delete(key);
+    }
+}, DOWNLOAD_SWEEP_INTERVAL).unref?.();
+const EMBED_FIX_MAX_LINKS = 3; // per message; each gets its own download button
 const osuTopSessions = new Map();
 const OSU_TOP_SESSION_TTL = 10 * 60 * 1000; // 10 minutes
+const lyricsSessions = new Map();
+const LYRICS_SESSION_TTL = 15 * 60 * 1000; // 15 minutes
+const LYRICS_PAGE_CHARS = 1800;
+const historySessions = new Map();
+const HISTORY_SESSION_TTL = 15 * 60 * 1000; // 15 minutes
+const HISTORY_PAGE_SIZE = 5; // one requeue button per entry fits in a single row
 
 // Utility: format seconds into H:MM:SS or M:SS
 function formatDuration(sec) {
@@ -509,6 +566,233 @@ function formatDuration(sec) {
     return `${m}:${pad(s)}`;
 }
 
+// "Playlist Queued" reply shared by /play and /playlist load
+function buildPlaylistQueuedEmbed(addition, member) {
+    const embed = new EmbedBuilder()
+        .setColor(0xffc6e6)
+        .setTitle('📚 Playlist Queued')
+        .setDescription(`Added **${addition.trackCount}** tracks from **${addition.title}**${Number.isInteger(addition.position) ? (addition.position === 0 ? ', playing now' : ` starting at #${addition.position}`) : ''}`)
+        .setFooter({ text: `Requested by ${member.displayName || member.user?.username}` });
+    if (addition.firstTrack) {
+        embed.addFields({
+            name: 'First Track',
+            value: `**${addition.firstTrack.title}**\n${addition.firstTrack.artist || 'Unknown'} • ${formatDuration(addition.firstTrack.duration) || '?'}`,
+            inline: false,
+        });
+        if (addition.firstTrack.thumbnail) embed.setThumbnail(addition.firstTrack.thumbnail);
+    }
+    return embed;
+}
+
+// Paginated queue embed + ◀/▶ buttons shared by /queue, /shuffle, the queue
+// editing commands and the queue:<guild>:<page> button handler
+const QUEUE_PAGE_SIZE = 20;
+function buildQueuePage(queue, guildId, page = 0, title = '🎀 Queue') {
+    const totalPages = Math.ceil(queue.songs.length / QUEUE_PAGE_SIZE);
+    const currentPage = Math.max(0, Math.min(page, totalPages - 1));
+    const start = currentPage * QUEUE_PAGE_SIZE;
+    const end = Math.min(start + QUEUE_PAGE_SIZE, queue.songs.length);
+    const lines = [];
+
+    for (let i = start; i < end; i++) {
+        const songTitle = queue.songs[i].title.length > 60
+            ? queue.songs[i].title.substring(0, 57) + '...'
+            : queue.songs[i].title;
+        const line = i === 0
+            ? `**▶️ Now:** ${songTitle}`
+            : `**${i}.** ${songTitle}`;
+        lines.push(line);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0xffc6e6)
+        .setTitle(title)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `Page ${currentPage + 1}/${totalPages} • ${queue.songs.length} song${queue.songs.length > 1 ? 's' : ''} total • Loop: ${describeLoopMode(queue.loopMode)}${queue.fairQueue ? ' • Fair queue' : ''}` });
+
+    if (queue.fairQueue) {
+        const next = queue.nextPerRequester().slice(0, 10).map(({ name, index, song }) => {
+            const songTitle = song.title.length > 40 ? song.title.substring(0, 37) + '...' : song.title;
+            return `**${name}** → #${index} ${songTitle}`;
+        });
+        if (next.length) embed.addFields({ name: 'Up next per requester', value: next.join('\n').substring(0, 1024) });
+    }
+
+    const current = queue.songs[0];
+    if (current?.thumbnail) {
+        embed.setThumbnail(current.thumbnail);
+    }
+
+    const row = new ActionRowBuilder();
+    if (totalPages > 1) {
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`queue:${guildId}:${currentPage - 1}`)
+                .setLabel('◀')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(currentPage === 0),
+            new ButtonBuilder()
+                .setCustomId(`queue:${guildId}:${currentPage + 1}`)
+                .setLabel('▶')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(currentPage === totalPages - 1)
+        );
+    }
+
+    return { embeds: [embed], components: totalPages > 1 ? [row] : [] };
+}
+
+// Replies with an ephemeral refusal and returns false unless the member is a DJ
+// or requested every song in `songs` (pass [] for DJ-only actions).
+async function ensureCanManageSongs(interaction, songs, hint = '') {
+    if (canManageSongs(interaction.member, songs)) return true;
+    const who = songs.length ? ` or the member who requested ${songs.length === 1 ? 'that song' : 'those songs'}` : '';
+    await interaction.reply({ content: `Only <@&${getDjRoleId(interaction.guildId)}>${who} can do that.${hint}`, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+    return false;
+}
+
+// Splits lyric lines into pages of at most LYRICS_PAGE_CHARS; each page is a list of line indices.
+function paginateLyrics(lines) {
+    const pages = [];
+    let page = [];
+    let size = 0;
+    lines.forEach((line, index) => {
+        const length = line.text.length + 8;
+        if (page.length && size + length > LYRICS_PAGE_CHARS) {
+            pages.push(page);
+            page = [];
+            size = 0;
+        }
+        page.push(index);
+        size += length;
+    });
+    if (page.length) pages.push(page);
+    return pages;
+}
+
+// The line being sung, when the session's track is still the one playing.
+function currentLyricLineFor(session) {
+    if (!session.live) return -1;
+    const queue = playerManager.queues?.get(session.guildId);
+    if (!queue || queue.songs[0] !== session.track) return -1;
+    return findCurrentLyricLine(session.lines, queue.getElapsedSeconds());
+}
+
+function buildLyricsPage(session, requestedPage) {
+    const totalPages = session.pages.length;
+    const currentLine = currentLyricLineFor(session);
+    const page = requestedPage === 'now'
+        ? Math.max(0, session.pages.findIndex(indices => indices.includes(currentLine)))
+        : Math.min(Math.max(requestedPage, 0), totalPages - 1);
+    const description = session.pages[page]
+        .map(index => {
+            const text = session.lines[index].text || '♪';
+            return index === currentLine ? `**▶ ${text}**` : text;
+        })
+        .join('\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(0xffc6e6)
+        .setTitle(`🎤 ${session.title}`.substring(0, 256))
+        .setDescription(description.substring(0, 4096))
+        .setFooter({ text: `${session.artist ? `${session.artist} • ` : ''}Page ${page + 1}/${totalPages} • Lyrics from ${session.provider}${session.synced ? ' (synced)' : ''}` });
+    if (session.thumbnail) embed.setThumbnail(session.thumbnail);
+
+    const buttons = [];
+    if (totalPages > 1) {
+        buttons.push(
+            new ButtonBuilder()
+                .setCustomId(`lyrics:${session.id}:${page - 1}`)
+                .setEmoji('⬅️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page === 0),
+            new ButtonBuilder()
+                .setCustomId(`lyrics:${session.id}:${page + 1}`)
+                .setEmoji('➡️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page === totalPages - 1),
+        );
+    }
+    if (session.live) {
+        buttons.push(
+            new ButtonBuilder()
+                .setCustomId(`lyrics:${session.id}:now`)
+                .setEmoji('🎯')
+                .setLabel('Current line')
+                .setStyle(ButtonStyle.Primary),
+        );
+    }
+    return { embed, components: buttons.length ? [new ActionRowBuilder().addComponents(buttons)] : [], page };
+}
+
+function buildHistoryPage(session, requestedPage) {
+    const totalPages = Math.max(1, Math.ceil(session.entries.length / HISTORY_PAGE_SIZE));
+    const page = Math.min(Math.max(requestedPage, 0), totalPages - 1);
+    const start = page * HISTORY_PAGE_SIZE;
+    const slice = session.entries.slice(start, start + HISTORY_PAGE_SIZE);
+    const lines = slice.map((entry, idx) => {
+        const title = entry.title.length > 60 ? entry.title.substring(0, 57) + '...' : entry.title;
+        const link = entry.url ? `[${title}](${entry.url})` : title;
+        const by = session.targetName ? '' : ` • ${entry.requestedBy}`;
+        return `**${start + idx + 1}.** ${link}\n${formatDiscordTimestamp(entry.startedAt)}${by}${entry.skipped ? ' • ⏭️ skipped' : ''}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(0xffc6e6)
+        .setTitle(session.targetName ? `📜 History — ${session.targetName}` : '📜 Listening History')
+        .setDescription(lines.join('\n\n') || 'Nothing played yet.')
+        .setFooter({ text: `Page ${page + 1}/${totalPages} • ${session.entries.length} play${session.entries.length === 1 ? '' : 's'} • ➕ queues a song again` });
+
+    const components = [];
+    if (slice.length) {
+        components.push(new ActionRowBuilder().addComponents(slice.map((entry, idx) =>
+            new ButtonBuilder()
+                .setCustomId(`history:${session.id}:requeue:${start + idx}`)
+                .setLabel(`➕ ${start + idx + 1}`)
+                .setStyle(ButtonStyle.Secondary)
+        )));
+    }
+    if (totalPages > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`history:${session.id}:page:${page - 1}`)
+                .setEmoji('⬅️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page === 0),
+            new ButtonBuilder()
+                .setCustomId(`history:${session.id}:page:${page + 1}`)
+                .setEmoji('➡️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page === totalPages - 1),
+        ));
+    }
+    return { embed, components, page };
+}
+
+// Ids of the humans in the bot's voice channel, for /voteskip.
+function getVoiceListenerIds(guild, channelId) {
+    const channel = channelId ? guild?.channels?.cache?.get(channelId) : null;
+    return channel ? [...channel.members.filter(m => !m.user.bot).keys()] : [];
+}
+
+// Utility: parse a /play position: "next", "now" or a 1-based queue number.
+// Returns undefined when omitted (end of queue) and null when malformed.
+function parseQueuePosition(input) {
+    if (!input) return undefined;
+    const value = String(input).trim().toLowerCase();
+    if (value === 'next' || value === 'now') return value;
+    if (/^\d+$/.test(value) && Number(value) > 0) return Number(value);
+    return null;
+}
+
+// Utility: parse "1:02:03", "2:30" or "90" into seconds (null if malformed)
+function parseTimestamp(input) {
+    if (!input) return null;
+    const parts = String(input).trim().split(':');
+    if (parts.length > 3 || parts.some(p => !/^\d+$/.test(p))) return null;
+    return parts.reduce((acc, p) => acc * 60 + Number(p), 0);
+}
+
 // Progress bar builder (text) length 20 chars
 function buildProgressBar(elapsed, total) {
     if (!total || total <= 0 || !elapsed || elapsed < 0) return null;
@@ -532,7 +816,21 @@ function buildProgressBar(elapsed, total) {
 const commands = [
     new SlashCommandBuilder()
         .setName("play")
-    .setDescription("Play a song from YouTube or Spotify.")
+    .setDescription("Play a song from YouTube, Spotify, SoundCloud, Bandcamp or an audio link.")
+        .addStringOption(o =>
+            o.setName("query")
+             .setDescription("Song title or link")
+             .setRequired(true)
+        )
+        .addStringOption(o =>
+            o.setName("position")
+             .setDescription("Where to queue it: next, now, or a queue number (default: end)")
+             .setRequired(false)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("playnext")
+        .setDescription("Queue a song or playlist to play right after the current one.")
         .addStringOption(o =>
             o.setName("query")
              .setDescription("Song title or link")
@@ -546,15 +844,87 @@ const commands = [
             o.setName("query")
              .setDescription("Song title or artist to search for")
              .setRequired(true)
+        )
+        .addStringOption(o =>
+            o.setName("position")
+             .setDescription("Where to queue it: next, now, or a queue number (default: end)")
+             .setRequired(false)
         ),
 
     new SlashCommandBuilder()
         .setName("download")
-        .setDescription("Download media from social links (<=8MB attach if possible).")
+        .setDescription("Download media from social links, attached up to the server's upload limit.")
         .addStringOption(o =>
             o.setName("url")
              .setDescription("Media URL (X/Twitter, Reddit, TikTok, Instagram, Facebook)")
              .setRequired(true)
+        )
+        .addStringOption(o =>
+            o.setName("format")
+             .setDescription("Video (default), audio only, or an animated GIF/WebP of a short clip")
+             .setRequired(false)
+             .addChoices(
+                 { name: 'Video', value: 'video' },
+                 { name: 'Audio', value: 'audio' },
+                 { name: 'GIF', value: 'gif' },
+             )
+        )
+        .addStringOption(o =>
+            o.setName("quality")
+             .setDescription("Starting quality; smaller ones are tried if the file is too big")
+             .setRequired(false)
+             .addChoices(
+                 { name: 'Best', value: 'best' },
+                 { name: '720p', value: '720p' },
+                 { name: '480p', value: '480p' },
+                 { name: 'Smallest', value: 'smallest' },
+             )
+        )
+        .addStringOption(o =>
+            o.setName("audio_codec")
+             .setDescription("File type for audio downloads (default mp3)")
+             .setRequired(false)
+             .addChoices(
+                 { name: 'MP3', value: 'mp3' },
+                 { name: 'Opus', value: 'opus' },
+             )
+        ),
+
+    new SlashCommandBuilder()
+        .setName("embedfix")
+        .setDescription("Automatic fixed embeds for social links posted in chat.")
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sc =>
+            sc.setName("server")
+              .setDescription("Turn embed-fix on or off for the whole server.")
+              .addBooleanOption(o =>
+                  o.setName("enabled")
+                   .setDescription("Fix links in this server")
+                   .setRequired(true)
+              )
+        )
+        .addSubcommand(sc =>
+            sc.setName("channel")
+              .setDescription("Override embed-fix for one channel.")
+              .addStringOption(o =>
+                  o.setName("mode")
+                   .setDescription("On, off, or follow the server setting")
+                   .setRequired(true)
+                   .addChoices(
+                       { name: 'On', value: 'on' },
+                       { name: 'Off', value: 'off' },
+                       { name: 'Server default', value: 'default' },
+                   )
+              )
+              .addChannelOption(o =>
+                  o.setName("channel")
+                   .setDescription("Channel to change (defaults to this one)")
+                   .setRequired(false)
+              )
+        )
+        .addSubcommand(sc =>
+            sc.setName("status")
+              .setDescription("Show where embed-fix is active.")
         ),
 
     new SlashCommandBuilder()
@@ -574,21 +944,286 @@ const commands = [
         .setName("shuffle")
         .setDescription("Shuffle the queue."),
 
+    new SlashCommandBuilder()
+        .setName("filter")
+        .setDescription("Apply an audio filter to playback, or clear it.")
+        .addStringOption(o =>
+            o.setName("name")
+             .setDescription("Filter to apply")
+             .setRequired(true)
+             .addChoices(
+                 ...FILTER_NAMES.map(name => ({ name: AUDIO_FILTERS[name].label, value: name })),
+                 { name: 'Clear', value: 'clear' },
+             )
+        )
+        .addNumberOption(o =>
+            o.setName("amount")
+             .setDescription("Rate for speed/pitch, 0.5–2 (default 1.25 / 1.2)")
+             .setRequired(false)
+             .setMinValue(0.5)
+             .setMaxValue(2)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("history")
+        .setDescription("Recently played songs, with buttons to queue them again.")
+        .addUserOption(o =>
+            o.setName("user")
+             .setDescription("Only songs this member requested")
+             .setRequired(false)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("musicstats")
+        .setDescription("Top tracks, top requesters, hours listened and skip rate.")
+        .addStringOption(o =>
+            o.setName("window")
+             .setDescription("Time window (default: 7 days)")
+             .setRequired(false)
+             .addChoices(...Object.entries(STATS_WINDOWS).map(([value, w]) => ({ name: w.label, value })))
+        )
+        .addUserOption(o =>
+            o.setName("user")
+             .setDescription("Stats for one member instead of the whole server")
+             .setRequired(false)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("fairqueue")
+        .setDescription("Rotate upcoming songs between requesters instead of playing in order added.")
+        .addBooleanOption(o =>
+            o.setName("enabled")
+             .setDescription("Turn fair queue on or off")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("autoplay")
+        .setDescription("Keep playing related songs when the queue runs out.")
+        .addBooleanOption(o =>
+            o.setName("enabled")
+             .setDescription("Turn autoplay on or off")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("move")
+        .setDescription("Move a song to another position in the queue.")
+        .addIntegerOption(o =>
+            o.setName("from")
+             .setDescription("Song number to move")
+             .setRequired(true)
+        )
+        .addIntegerOption(o =>
+            o.setName("to")
+             .setDescription("New song number")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("swap")
+        .setDescription("Swap two songs in the queue.")
+        .addIntegerOption(o =>
+            o.setName("a")
+             .setDescription("First song number")
+             .setRequired(true)
+        )
+        .addIntegerOption(o =>
+            o.setName("b")
+             .setDescription("Second song number")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("skipto")
+        .setDescription("Skip to a song in the queue, dropping the ones before it.")
+        .addIntegerOption(o =>
+            o.setName("index")
+             .setDescription("Song number")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("clear")
+        .setDescription("Clear the upcoming songs (keeps the current one playing)."),
+
+    new SlashCommandBuilder()
+        .setName("removerange")
+        .setDescription("Remove a range of songs from the queue.")
+        .addIntegerOption(o =>
+            o.setName("start")
+             .setDescription("First song number to remove")
+             .setRequired(true)
+        )
+        .addIntegerOption(o =>
+            o.setName("end")
+             .setDescription("Last song number to remove")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("removeuser")
+        .setDescription("Remove every upcoming song requested by a member.")
+        .addUserOption(o =>
+            o.setName("member")
+             .setDescription("Whose songs to remove")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("dedupe")
+        .setDescription("Remove duplicate songs from the queue."),
+
     new SlashCommandBuilder()
         .setName("volume")
-        .setDescription("Set volume (1–100).")
+        .setDescription(`Set playback volume (0–${MAX_VOLUME}).`)
         .addIntegerOption(o =>
             o.setName("value")
              .setDescription("Volume %")
+             .setMinValue(0)
+             .setMaxValue(MAX_VOLUME)
              .setRequired(true)
         )
 
     ,
 
+    new SlashCommandBuilder()
+        .setName("loop")
+        .setDescription("Repeat the current track or the whole queue.")
+        .addStringOption(o =>
+            o.setName("mode")
+             .setDescription("Loop mode")
+             .setRequired(true)
+             .addChoices(
+                { name: "Off", value: "off" },
+                { name: "Track", value: "track" },
+                { name: "Queue", value: "queue" },
+             )
+        ),
+
+    new SlashCommandBuilder()
+        .setName("seek")
+        .setDescription("Jump to a position in the current song.")
+        .addStringOption(o =>
+            o.setName("position")
+             .setDescription("Timestamp, e.g. 1:30 or 90")
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("forward")
+        .setDescription("Fast-forward the current song.")
+        .addIntegerOption(o =>
+            o.setName("seconds")
+             .setDescription("Seconds to skip ahead")
+             .setMinValue(1)
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("rewind")
+        .setDescription("Rewind the current song.")
+        .addIntegerOption(o =>
+            o.setName("seconds")
+             .setDescription("Seconds to go back")
+             .setMinValue(1)
+             .setRequired(true)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("playlist")
+        .setDescription("Save and load named playlists.")
+        .addSubcommand(sc =>
+            sc.setName("save")
+              .setDescription("Save the current queue as a playlist.")
+              .addStringOption(o => o.setName("name").setDescription("Playlist name").setMaxLength(MAX_PLAYLIST_NAME_LENGTH).setRequired(true))
+              .addStringOption(o => o.setName("scope").setDescription("Save for yourself or for the whole server").addChoices(
+                  { name: "Personal", value: "personal" },
+                  { name: "Server", value: "server" },
+              ))
+        )
+        .addSubcommand(sc =>
+            sc.setName("load")
+              .setDescription("Queue a saved playlist.")
+              .addStringOption(o => o.setName("name").setDescription("Playlist name").setRequired(true).setAutocomplete(true))
+              .addStringOption(o => o.setName("scope").setDescription("Where to look (default: personal, then server)").addChoices(
+                  { name: "Personal", value: "personal" },
+                  { name: "Server", value: "server" },
+              ))
+        )
+        .addSubcommand(sc =>
+            sc.setName("list")
+              .setDescription("List saved playlists.")
+              .addStringOption(o => o.setName("scope").setDescription("Which playlists to show (default: both)").addChoices(
+                  { name: "Personal", value: "personal" },
+                  { name: "Server", value: "server" },
+              ))
+        )
+        .addSubcommand(sc =>
+            sc.setName("delete")
+              .setDescription("Delete a saved playlist.")
+              .addStringOption(o => o.setName("name").setDescription("Playlist name").setRequired(true).setAutocomplete(true))
+              .addStringOption(o => o.setName("scope").setDescription("Where to look (default: personal, then server)").addChoices(
+                  { name: "Personal", value: "personal" },
+                  { name: "Server", value: "server" },
+              ))
+        ),
+
     new SlashCommandBuilder()
         .setName("skip")
         .setDescription("Skip the currently playing song."),
 
+    new SlashCommandBuilder()
+        .setName("lyrics")
+        .setDescription("Show lyrics for the current song or a search.")
+        .addStringOption(o =>
+            o.setName("query")
+             .setDescription("Song to look up (default: what's playing)")
+             .setRequired(false)
+        )
+        .addBooleanOption(o =>
+            o.setName("highlight")
+             .setDescription("Highlight the line being sung when synced lyrics exist (default: on)")
+             .setRequired(false)
+        ),
+
+    new SlashCommandBuilder()
+        .setName("voteskip")
+        .setDescription("Vote to skip the current song."),
+
+    new SlashCommandBuilder()
+        .setName("dj")
+        .setDescription("Music permissions: DJ role and vote-skip threshold.")
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sc =>
+            sc.setName("role")
+              .setDescription("Only this role (or a song's requester) can skip, stop and edit the queue.")
+              .addRoleOption(o =>
+                  o.setName("role")
+                   .setDescription("DJ role")
+                   .setRequired(true)
+              )
+        )
+        .addSubcommand(sc =>
+            sc.setName("clear")
+              .setDescription("Remove the DJ role so everyone can control playback.")
+        )
+        .addSubcommand(sc =>
+            sc.setName("voteskip")
+              .setDescription("Share of listeners needed for /voteskip to pass.")
+              .addIntegerOption(o =>
+                  o.setName("percent")
+                   .setDescription("Percent of listeners (1-100)")
+                   .setRequired(true)
+                   .setMinValue(1)
+                   .setMaxValue(100)
+              )
+        )
+        .addSubcommand(sc =>
+            sc.setName("show")
+              .setDescription("Show the current music permission settings.")
+        ),
+
     new SlashCommandBuilder()
         .setName("stop")
         .setDescription("Stop playback and clear the queue."),
@@ -603,6 +1238,14 @@ const commands = [
     new SlashCommandBuilder()
         .setName("nowplaying")
         .setDescription("Show the currently playing song."),
+    new SlashCommandBuilder()
+        .setName("diagnostics")
+        .setDescription("Bot health details (admins only).")
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sc =>
+            sc.setName("playback")
+              .setDescription("Stream strategy success rates, latency and fallback order.")
+        ),
     new SlashCommandBuilder()
         .setName("help")
         .setDescription("Show a list of available commands."),
@@ -683,6 +1326,27 @@ if (!process.env.DISCORD_TOKEN || !process.env.CLIENT_ID || !process.env.GUILD_I
 // --------------------------------------------
 
 client.on('interactionCreate', async interaction => {
+    if (interaction.isAutocomplete()) {
+        if (interaction.commandName === 'playlist') {
+            const owner = { guildId: interaction.guildId, userId: interaction.user.id };
+            const scope = interaction.options.getString('scope');
+            const typed = interaction.options.getFocused().toLowerCase();
+            const scopes = scope ? [scope] : PLAYLIST_SCOPES;
+            const seen = new Set();
+            const choices = [];
+            for (const sc of scopes) {
+                for (const playlist of playlistStore.list(sc, owner)) {
+                    const key = playlist.name.toLowerCase();
+                    if (seen.has(key) || !key.includes(typed)) continue;
+                    seen.add(key);
+                    choices.push({ name: `${playlist.name} (${sc}, ${playlist.tracks.length} songs)`.slice(0, 100), value: playlist.name });
+                }
+            }
+            return interaction.respond(choices.slice(0, 25)).catch(err => console.error('[playlist autocomplete] failed', err));
+        }
+        return;
+    }
+
     // Handle button interactions
     if (interaction.isButton()) {
         const id = interaction.customId;
@@ -701,62 +1365,57 @@ client.on('interactionCreate', async interaction => {
             }
             
             await interaction.deferUpdate();
-            
-            const itemsPerPage = 20;
-            const totalPages = Math.ceil(queue.songs.length / itemsPerPage);
-            const currentPage = Math.max(0, Math.min(targetPage, totalPages - 1));
-            
-            // Build page
-            const start = currentPage * itemsPerPage;
-            const end = Math.min(start + itemsPerPage, queue.songs.length);
-            const lines = [];
-            
-            for (let i = start; i < end; i++) {
-                const title = queue.songs[i].title.length > 60 
-                    ? queue.songs[i].title.substring(0, 57) + '...' 
-                    : queue.songs[i].title;
-                const line = i === 0 
-                    ? `**▶️ Now:** ${title}` 
-                    : `**${i}.** ${title}`;
-                lines.push(line);
+            await interaction.editReply(buildQueuePage(queue, guildId, targetPage));
+            return;
+        }
+        
+        if (id.startsWith('np:')) {
+            const [, guildId, action] = id.split(':');
+            if (interaction.guildId !== guildId) {
+                return interaction.reply({ content: 'This player is for a different server.', flags: MessageFlags.Ephemeral });
             }
-            
-            const embed = new EmbedBuilder()
-                .setColor(0xffc6e6)
-                .setTitle('🎀 Queue')
-                .setDescription(lines.join('\n'))
-                .setFooter({ text: `Page ${currentPage + 1}/${totalPages} • ${queue.songs.length} song${queue.songs.length > 1 ? 's' : ''} total` });
-            
-            const current = queue.songs[0];
-            if (current?.thumbnail) {
-                embed.setThumbnail(current.thumbnail);
+            const queue = playerManager.queues?.get(guildId);
+            const current = queue?.songs[0];
+            if (!current) return interaction.reply({ content: 'Nothing is playing…', flags: MessageFlags.Ephemeral });
+
+            // Same rules as the slash commands: pause and loop are open to everyone.
+            const affected = {
+                skip: [current],
+                stop: queue.songs,
+                shuffle: queue.songs.slice(1),
+                voldown: [current],
+                volup: [current],
+            }[action];
+            if (affected && !await ensureCanManageSongs(interaction, affected, action === 'skip' ? ' Use /voteskip instead.' : '')) return;
+
+            if (action === 'pause') {
+                if (queue.paused) queue.resume();
+                else queue.pause();
+            } else if (action === 'skip') {
+                queue.skip();
+            } else if (action === 'stop') {
+                queue.stop();
+            } else if (action === 'loop') {
+                queue.setLoopMode(LOOP_MODES[(LOOP_MODES.indexOf(queue.loopMode) + 1) % LOOP_MODES.length]);
+            } else if (action === 'shuffle') {
+                queue.shuffle();
+            } else if (action === 'voldown' || action === 'volup') {
+                queue.setVolume(queue.volume + (action === 'volup' ? VOLUME_STEP : -VOLUME_STEP));
             }
-            
-            // Update navigation buttons
-            const row = new ActionRowBuilder();
-            if (totalPages > 1) {
-                row.addComponents(
-                    new ButtonBuilder()
-                        .setCustomId(`queue:${guildId}:${currentPage - 1}`)
-                        .setLabel('◀')
-                        .setStyle(ButtonStyle.Primary)
-                        .setDisabled(currentPage === 0),
-                    new ButtonBuilder()
-                        .setCustomId(`queue:${guildId}:${currentPage + 1}`)
-                        .setLabel('▶')
-                        .setStyle(ButtonStyle.Primary)
-                        .setDisabled(currentPage === totalPages - 1)
-                );
+
+            // Skip and stop retire this panel (the next song posts a fresh one);
+            // everything else re-renders it in place as part of the button ack.
+            if (!queue.songs.length || interaction.message.id !== queue.nowPlayingMessage?.id || action === 'skip' || action === 'stop') {
+                return interaction.deferUpdate();
             }
-            
-            await interaction.editReply({ embeds: [embed], components: totalPages > 1 ? [row] : [] });
-            return;
+            return interaction.update(queue.buildNowPlayingView());
         }
-        
+
         if (id.startsWith('playsong:')) {
             const parts = id.split(':');
             const userId = parts[1];
             const resultIndex = parseInt(parts[2], 10);
+            const insertAt = parseQueuePosition(parts[3]) ?? undefined;
             
             if (interaction.user.id !== userId) {
                 return interaction.reply({ content: 'Only the person who searched can select a song.', flags: MessageFlags.Ephemeral });
@@ -789,10 +1448,10 @@ client.on('interactionCreate', async interaction => {
                 const queue = playerManager.get(interaction.guildId, interaction.channel);
                 await queue.connect(vc);
                 
-                const beforeState = queue.player.state.status;
-                const added = await queue.add(videoUrl, interaction.member);
-                const position = queue.songs.findIndex(s => s.url === added.url);
-                const isNow = position === 0 && (beforeState === AudioPlayerStatus.Idle);
+                const addition = await queue.add(videoUrl, interaction.member, { position: insertAt });
+                const added = addition.track;
+                const position = addition.position;
+                const isNow = position === 0;
                 
                 const responseEmbed = new EmbedBuilder()
                     .setColor(0xffc6e6)
@@ -815,33 +1474,78 @@ client.on('interactionCreate', async interaction => {
         }
         
         if (id.startsWith('dl:')) {
-            const key = id.slice(3);
-            const originalUrl = downloadRequests.get(key);
-            if (!originalUrl) return interaction.reply({ content: 'Download request expired.' });
+            const [, key, mode = 'best'] = id.split(':');
+            const request = downloadRequests.get(key);
+            if (!request || request.expiresAt <= Date.now() || !DOWNLOAD_MODES[mode]) {
+                downloadRequests.delete(key);
+                return interaction.reply({ content: 'Download request expired.', flags: MessageFlags.Ephemeral });
+            }
+            if (request.userId && request.userId !== interaction.user.id) {
+                return interaction.reply({ content: `Only <@${request.userId}> can use these download buttons.`, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+            }
             await interaction.deferReply();
             try {
-                const result = await tryDownloadWithYtDlp(originalUrl, MAX_ATTACH_BYTES);
-                if (result.type === 'file') {
-                    try {
-                        await interaction.editReply({ content: `Downloaded ${result.name}\n➡ On PC: click the file, then use the Download/save option.\n➡ On phone: tap the file, then long‑press and Save/Download.`, files: [{ attachment: result.path, name: result.name }] });
-                    } catch (e) {
-                        if (result.directUrl) {
-                            await interaction.editReply({ content: `Too large to attach. Direct link: ${result.directUrl}` });
-                        } else {
-                            await interaction.editReply({ content: `Too large to attach.` });
-                        }
-                    } finally {
-                        try { await fs.unlink(result.path); } catch {}
-                    }
-                } else {
-                    await interaction.editReply('Could not download this media.');
-                }
+                const options = { ...DOWNLOAD_MODES[mode].options, onProgress: createCompressProgress(interaction) };
+                const result = await downloadMedia(request.url, options, uploadLimitFor(interaction.guild));
+                await replyWithDownload(interaction, result, request.url);
             } catch (e) {
                 await interaction.editReply(`Failed: ${e.message || e}`);
             }
             return;
         }
 
+        if (id.startsWith('lyrics:')) {
+            const [, sessionId, target] = id.split(':');
+            const session = lyricsSessions.get(sessionId);
+            if (!session || session.expiresAt < Date.now()) {
+                lyricsSessions.delete(sessionId);
+                return interaction.reply({ content: 'That lyrics view expired. Run /lyrics again.', flags: MessageFlags.Ephemeral });
+            }
+            const requested = target === 'now' ? 'now' : Number(target);
+            const { embed, components } = buildLyricsPage(session, Number.isFinite(requested) || requested === 'now' ? requested : 0);
+            session.expiresAt = Date.now() + LYRICS_SESSION_TTL;
+            try {
+                await interaction.update({ embeds: [embed], components });
+            } catch (err) {
+                console.error('[lyrics button] failed', err);
+            }
+            return;
+        }
+
+        if (id.startsWith('history:')) {
+            const [, sessionId, action, rawValue] = id.split(':');
+            const session = historySessions.get(sessionId);
+            if (!session || session.expiresAt < Date.now()) {
+                historySessions.delete(sessionId);
+                return interaction.reply({ content: 'That history view expired. Run /history again.', flags: MessageFlags.Ephemeral });
+            }
+            session.expiresAt = Date.now() + HISTORY_SESSION_TTL;
+            const value = Number(rawValue) || 0;
+
+            if (action === 'page') {
+                const { embed, components } = buildHistoryPage(session, value);
+                return interaction.update({ embeds: [embed], components });
+            }
+
+            if (action === 'requeue') {
+                const entry = session.entries[value];
+                if (!entry) return interaction.reply({ content: 'That entry is gone.', flags: MessageFlags.Ephemeral });
+                const vc = interaction.member.voice.channel;
+                if (!vc) return interaction.reply({ content: 'Join a voice channel first…', flags: MessageFlags.Ephemeral });
+                await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+                try {
+                    const queue = playerManager.get(interaction.guildId, interaction.channel);
+                    await queue.connect(vc);
+                    const addition = await queue.add(entry.url || entry.title, interaction.member);
+                    const where = addition.position === 0 ? 'now playing' : `#${addition.position}`;
+                    return interaction.editReply(`➕ Queued **${entry.title}** (${where}).`);
+                } catch (err) {
+                    return interaction.editReply(`Failed to queue it again: ${err.message}`);
+                }
+            }
+            return;
+        }
+
         if (id.startsWith('osutop:')) {
             const parts = id.split(':');
             const sessionId = parts[1];
@@ -885,34 +1589,92 @@ client.on('interactionCreate', async interaction => {
 
     if (commandName === 'download') {
         const url = interaction.options.getString('url');
+        const options = {
+            format: interaction.options.getString('format') || 'video',
+            quality: interaction.options.getString('quality') || 'best',
+            audioCodec: interaction.options.getString('audio_codec') || 'mp3',
+            onProgress: createCompressProgress(interaction),
+        };
         await interaction.deferReply();
         try {
-                const result = await tryDownloadWithYtDlp(url, MAX_ATTACH_BYTES);
-                            if (result.type === 'file') {
-                                try {
-                                    await interaction.editReply({ content: `Downloaded ${result.name}` , files: [{ attachment: result.path, name: result.name }] });
-                                } catch (e) {
-                                    // Likely too large to upload. Fallback to direct link if available.
-                                    if (result.directUrl) {
-                                        await interaction.editReply({ content: `File too large to attach. Direct link: ${result.directUrl}` });
-                                    } else {
-                                        await interaction.editReply({ content: `File too large to attach. Try this: ${fixSocialUrl(url) || url}` });
-                                    }
-                                } finally {
-                                    // cleanup temp file
-                                    try { await fs.unlink(result.path); } catch {}
-                                }
-                await interaction.editReply({ content: `File too large to attach. Direct link: ${result.url}` });
-            } else {
-                // fallback: try embed-fix link
-                const fx = fixSocialUrl(url);
-                await interaction.editReply({ content: fx ? `Couldn't download. Try this fixed link instead:\n${fx}` : `Couldn't download this URL.` });
+            // Image posts and multi-media galleries are attached item by item;
+            // a single video goes through the usual quality/compression path.
+            if (options.format === 'video') {
+                const gallery = await fetchGalleryMeta(url).catch(err => {
+                    console.warn('[download] gallery lookup failed', err.message);
+                    return null;
+                });
+                const isGallery = gallery && (gallery.items.length > 1 || gallery.items.every(item => item.kind === 'image'));
+                if (isGallery && await replyWithGallery(interaction, gallery, url, uploadLimitFor(interaction.guild))) return;
             }
+            const result = await downloadMedia(url, options, uploadLimitFor(interaction.guild));
+            // Other formats stay one click away for whoever ran the command.
+            await replyWithDownload(interaction, result, url, [createDownloadButtons(url, interaction.user.id)]);
         } catch (e) {
             await interaction.editReply(`Download failed: ${e.message || e}`);
         }
     }
 
+    if (commandName === 'embedfix') {
+        if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+            return interaction.reply({ content: 'You need Manage Server to change embed-fix settings.', flags: MessageFlags.Ephemeral });
+        }
+        const sub = interaction.options.getSubcommand();
+        const inactiveNote = ENABLE_MESSAGE_CONTENT ? '' : '\n⚠️ The bot was started without ENABLE_MESSAGE_CONTENT, so no links are fixed until it is enabled.';
+        if (sub === 'server') {
+            const enabled = interaction.options.getBoolean('enabled');
+            setGuildEmbedFix(interaction.guildId, enabled);
+            return interaction.reply(`🔗 Embed-fix **${enabled ? 'on' : 'off'}** for this server (channel overrides still apply).${inactiveNote}`);
+        }
+        if (sub === 'channel') {
+            const channel = interaction.options.getChannel('channel') || interaction.channel;
+            const mode = interaction.options.getString('mode');
+            setChannelEmbedFix(interaction.guildId, channel.id, mode === 'default' ? null : mode === 'on');
+            const effective = isEmbedFixEnabled(interaction.guildId, channel.id) ? 'on' : 'off';
+            const label = mode === 'default' ? `follows the server setting (**${effective}**)` : `**${mode}**`;
+            return interaction.reply(`🔗 Embed-fix in ${channel} ${label}.${inactiveNote}`);
+        }
+        const { enabled, channels } = getEmbedFixSettings(interaction.guildId);
+        const overrides = Object.entries(channels).map(([channelId, on]) => `<#${channelId}>: ${on ? 'on' : 'off'}`);
+        const embed = new EmbedBuilder()
+            .setColor(0xffc6e6)
+            .setTitle('🔗 Embed-fix')
+            .addFields(
+                { name: 'Server', value: enabled ? 'On' : 'Off', inline: true },
+                { name: 'Message Content', value: ENABLE_MESSAGE_CONTENT ? 'Enabled' : 'Disabled (nothing is fixed)', inline: true },
+                { name: 'Channel Overrides', value: overrides.join('\n').slice(0, 1024) || 'None', inline: false },
+            );
+        return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
+    if (commandName === 'diagnostics') {
+        if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+            return interaction.reply({ content: 'You need Manage Server to view diagnostics.', flags: MessageFlags.Ephemeral });
+        }
+        if (interaction.options.getSubcommand() === 'playback') {
+            const embed = new EmbedBuilder()
+                .setColor(0xffc6e6)
+                .setTitle('🩺 Playback Diagnostics')
+                .setDescription(`Strategies are tried in order per source; after ${streamResolvers.failureThreshold} failures in a row one is moved to the back for ${Math.round(streamResolvers.retryAfterMs / 60000)} min.`);
+            for (const stat of streamResolvers.getStats()) {
+                const rate = stat.attempts ? formatPerc((stat.successes / stat.attempts) * 100, 0) : 'N/A';
+                const state = !stat.enabled ? '⛔ disabled' : stat.demoted ? '⚠️ demoted' : '✅ active';
+                const lines = [
+                    `${state} • sources: ${stat.sources.join(', ')}`,
+                    `✔ ${stat.successes} / ✖ ${stat.failures} (${rate}) • streak: ${stat.consecutiveFailures} fail${stat.consecutiveFailures === 1 ? '' : 's'}`,
+                    `Latency: avg ${stat.avgLatencyMs ?? '—'} ms • last ${stat.lastLatencyMs ?? '—'} ms`,
+                ];
+                if (stat.lastSuccessAt) lines.push(`Last success: ${formatDiscordTimestamp(stat.lastSuccessAt)}`);
+                if (stat.lastFailureAt) lines.push(`Last failure: ${formatDiscordTimestamp(stat.lastFailureAt)} — ${(stat.lastError || 'unknown').slice(0, 200)}`);
+                embed.addFields({ name: stat.name, value: lines.join('\n').slice(0, 1024) });
+            }
+            const order = ['youtube', 'soundcloud', 'bandcamp', 'http']
+                .map(source => `${source}: ${streamResolvers.plan({ source }).map(r => r.name).join(' → ') || 'none'}`);
+            embed.addFields({ name: 'Current order', value: order.join('\n') });
+            return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+        }
+    }
+
     // ------------------------
     // /help
     // ------------------------
@@ -922,16 +1684,27 @@ client.on('interactionCreate', async interaction => {
             .setTitle('Available Commands')
             .setDescription('Here are the main commands you can use:')
             .addFields(
-                { name: '/play <query>', value: 'Play a song from YouTube or Spotify in your current voice channel.', inline: false },
+                { name: '/play <query> [position]', value: 'Play a song from YouTube, Spotify, SoundCloud, Bandcamp or a direct audio/radio link in your current voice channel. Position: next, now or a queue number (/playnext is a shortcut).', inline: false },
                 { name: '/queue', value: 'Show the current song queue.', inline: false },
                 { name: '/remove <index>', value: 'Remove a song from the queue by its position.', inline: false },
                 { name: '/shuffle', value: 'Shuffle the current queue.', inline: false },
-                { name: '/skip', value: 'Skip the current song.', inline: false },
+                { name: '/move, /swap, /skipto', value: 'Reorder the queue or jump ahead to a song by its position.', inline: false },
+                { name: '/clear, /removerange, /removeuser, /dedupe', value: 'Clear upcoming songs, or remove a range, one member\'s songs or duplicates.', inline: false },
+                { name: '/filter <name>', value: 'Bass boost, nightcore, vaporwave, 8D, speed or pitch — or clear. Restarts the song where it was.', inline: false },
+                { name: '/history [user], /musicstats [window] [user]', value: 'Browse and requeue recently played songs; top tracks, requesters, hours listened and skip rate.', inline: false },
+                { name: '/fairqueue, /autoplay <on|off>', value: 'Take turns between requesters so one big playlist can\'t hog the queue; keep playing related songs when the queue runs out.', inline: false },
+                { name: '/loop <off|track|queue>', value: 'Repeat the current song or the whole queue.', inline: false },
+                { name: '/seek <mm:ss>', value: 'Jump to a position in the current song (also /forward and /rewind).', inline: false },
+                { name: '/playlist save|load|list|delete', value: 'Save the queue as a personal or server playlist and load it later.', inline: false },
+                { name: '/skip, /voteskip', value: 'Skip the current song (DJs and the requester), or vote to skip it.', inline: false },
+                { name: '/dj role|clear|voteskip|show', value: 'Set a DJ role for skip/stop/queue edits and the vote-skip threshold (Manage Server).', inline: false },
+                { name: '/volume <0-200>', value: 'Set the playback volume for this server (saved across restarts).', inline: false },
                 { name: '/stop', value: 'Stop playback and clear the queue.', inline: false },
                 { name: '/pause', value: 'Pause the current song.', inline: false },
                 { name: '/resume', value: 'Resume the paused song.', inline: false },
+                { name: '/lyrics [query]', value: 'Show lyrics for the current song (with the current line highlighted) or any song.', inline: false },
                 { name: '/nowplaying', value: 'Show details about the currently playing song.', inline: false },
-                { name: '/download <url>', value: 'Download media from a social link or get a direct link.', inline: false }
+                { name: '/download <url> [format] [quality], /embedfix', value: 'Download a social post as video, audio or GIF (shrinking to fit the upload limit); choose where links posted in chat get fixed embeds.', inline: false }
             );
 
         return interaction.reply({ embeds: [helpEmbed], flags: MessageFlags.Ephemeral });
@@ -1006,7 +1779,9 @@ client.on('interactionCreate', async interaction => {
 
   if (commandName === 'playsong') {
     const query = interaction.options.getString('query');
-    if (/soundcloud\.com/i.test(query)) return interaction.reply('SoundCloud disabled.');
+    if (/^https?:\/\//i.test(query) && !isYouTubeUrl(query)) return interaction.reply('/playsong searches YouTube — use /play for other links.');
+    const insertAt = parseQueuePosition(interaction.options.getString('position'));
+    if (insertAt === null) return interaction.reply('Position must be `next`, `now` or a queue number.');
     const vc = interaction.member.voice.channel;
     if (!vc) return interaction.reply('Join a voice channel first…');
     
@@ -1049,7 +1824,7 @@ client.on('interactionCreate', async interaction => {
         searchResults.forEach((result, index) => {
             row.addComponents(
                 new ButtonBuilder()
-                    .setCustomId(`playsong:${interaction.user.id}:${index}`)
+                    .setCustomId(`playsong:${interaction.user.id}:${index}:${insertAt ?? ''}`)
                     .setLabel(`${index + 1}`)
                     .setStyle(index === 0 ? ButtonStyle.Success : ButtonStyle.Primary)
                     .setEmoji(index === 0 ? '▶️' : '🎵')
@@ -1063,9 +1838,10 @@ client.on('interactionCreate', async interaction => {
     }
   }
 
-  if (commandName === 'play') {
+  if (commandName === 'play' || commandName === 'playnext') {
     const query = interaction.options.getString('query');
-    if (/soundcloud\.com/i.test(query)) return interaction.reply('SoundCloud disabled.');
+    const insertAt = commandName === 'playnext' ? 'next' : parseQueuePosition(interaction.options.getString('position'));
+    if (insertAt === null) return interaction.reply('Position must be `next`, `now` or a queue number.');
     const vc = interaction.member.voice.channel;
     if (!vc) return interaction.reply('Join a voice channel first…');
     const me = interaction.guild?.members?.me;
@@ -1076,29 +1852,15 @@ client.on('interactionCreate', async interaction => {
     const queue = playerManager.get(interaction.guildId, interaction.channel);
     await queue.connect(vc);
         try {
-            const beforeState = queue.player.state.status;
-            const addition = await queue.add(query, interaction.member);
+            const addition = await queue.add(query, interaction.member, { position: insertAt });
             if (addition?.type === 'playlist') {
-                const playlistEmbed = new EmbedBuilder()
-                    .setColor(0xffc6e6)
-                    .setTitle('📚 Playlist Queued')
-                    .setDescription(`Added **${addition.trackCount}** tracks from **${addition.title}**`)
-                    .setFooter({ text: `Requested by ${interaction.member.displayName || interaction.member.user?.username}` });
-                if (addition.firstTrack) {
-                    playlistEmbed.addFields({
-                        name: 'First Track',
-                        value: `**${addition.firstTrack.title}**\n${addition.firstTrack.artist || 'Unknown'} • ${formatDuration(addition.firstTrack.duration) || '?'}`,
-                        inline: false,
-                    });
-                    if (addition.firstTrack.thumbnail) playlistEmbed.setThumbnail(addition.firstTrack.thumbnail);
-                }
-                await interaction.editReply({ embeds: [playlistEmbed] });
+                await interaction.editReply({ embeds: [buildPlaylistQueuedEmbed(addition, interaction.member)] });
                 return;
             }
 
             const added = addition?.track ?? addition;
-            const position = queue.songs.findIndex(s => s.url === added.url);
-            const isNow = position === 0 && (beforeState === AudioPlayerStatus.Idle);
+            const position = addition.position;
+            const isNow = position === 0;
             const embed = new EmbedBuilder()
                 .setColor(0xffc6e6)
                 .setTitle(isNow ? '🎶 Now Playing' : '➕ Added to Queue')
@@ -1123,157 +1885,422 @@ client.on('interactionCreate', async interaction => {
     }
   }
 
-    if (commandName === 'queue') {
+    if (commandName === 'queue') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        return interaction.reply(buildQueuePage(queue, interaction.guildId));
+    }
+
+    if (commandName === 'remove') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        const index = interaction.options.getInteger('index');
+        if (queue.isQueuedIndex(index) && !await ensureCanManageSongs(interaction, [queue.songs[index]])) return;
+        const removed = queue.remove(index);
+        if (!removed) return interaction.reply('Invalid queue number…');
+        return interaction.reply(`Removed **${removed.title}** from queue.`);
+    }
+
+    if (commandName === 'shuffle') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        if (!await ensureCanManageSongs(interaction, queue.songs.slice(1))) return;
+        queue.shuffle();
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, '🔀 Queue Shuffled'));
+    }
+
+    if (commandName === 'move') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        const from = interaction.options.getInteger('from');
+        if (queue.isQueuedIndex(from) && !await ensureCanManageSongs(interaction, [queue.songs[from]])) return;
+        const moved = queue.move(from, interaction.options.getInteger('to'));
+        if (!moved) return interaction.reply('Invalid queue number…');
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, `↕️ Moved ${moved.title.substring(0, 200)}`));
+    }
+
+    if (commandName === 'swap') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        const a = interaction.options.getInteger('a');
+        const b = interaction.options.getInteger('b');
+        if (queue.isQueuedIndex(a) && queue.isQueuedIndex(b) && !await ensureCanManageSongs(interaction, [queue.songs[a], queue.songs[b]])) return;
+        const swapped = queue.swap(a, b);
+        if (!swapped) return interaction.reply('Invalid queue number…');
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, '🔃 Songs Swapped'));
+    }
+
+    if (commandName === 'skipto') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        const index = interaction.options.getInteger('index');
+        if (!queue.isQueuedIndex(index)) return interaction.reply('Invalid queue number…');
+        if (!await ensureCanManageSongs(interaction, queue.songs.slice(0, index))) return;
+        const target = queue.skipTo(index);
+        if (!target) return interaction.reply('The current song is still loading, try again in a moment.');
+        // The skip lands on the next Idle, so the queue page would still show the old song.
+        return interaction.reply(`⏭️ Skipped to **${target.title.substring(0, 200)}**`);
+    }
+
+    if (commandName === 'clear') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || queue.songs.length < 2) return interaction.reply('There are no upcoming songs to clear…');
+        if (!await ensureCanManageSongs(interaction, queue.songs.slice(1))) return;
+        const removed = queue.clearUpcoming();
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, `🧹 Cleared ${removed} song${removed === 1 ? '' : 's'}`));
+    }
+
+    if (commandName === 'removerange') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        const start = interaction.options.getInteger('start');
+        const end = interaction.options.getInteger('end');
+        if (queue.isQueuedIndex(start) && queue.isQueuedIndex(end) && !await ensureCanManageSongs(interaction, queue.songs.slice(start, end + 1))) return;
+        const removed = queue.removeRange(start, end);
+        if (!removed) return interaction.reply('Invalid queue range…');
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, `🗑️ Removed ${removed.length} song${removed.length === 1 ? '' : 's'}`));
+    }
+
+    if (commandName === 'removeuser') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        const user = interaction.options.getUser('member');
+        if (user.id !== interaction.user.id && !await ensureCanManageSongs(interaction, [])) return;
+        const removed = queue.removeByRequester(user.id);
+        if (!removed) return interaction.reply(`No upcoming songs were requested by **${user.username}**.`);
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, `🗑️ Removed ${removed} song${removed === 1 ? '' : 's'} from ${user.username}`.substring(0, 256)));
+    }
+
+    if (commandName === 'dedupe') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+        if (!await ensureCanManageSongs(interaction, queue.songs.slice(1))) return;
+        const removed = queue.dedupe();
+        if (!removed) return interaction.reply('No duplicate songs in the queue.');
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, `🧹 Removed ${removed} duplicate${removed === 1 ? '' : 's'}`));
+    }
+
+    if (commandName === 'volume') {
+        const queue = playerManager.get(interaction.guildId, interaction.channel);
+        const value = interaction.options.getInteger('value');
+        if (value < 0 || value > MAX_VOLUME) return interaction.reply(`Volume must be between 0 and ${MAX_VOLUME}.`);
+        if (!await ensureCanManageSongs(interaction, queue.songs.slice(0, 1))) return;
+        const applied = queue.setVolume(value);
+        return interaction.reply(`🔊 Volume set to **${applied}%**.`);
+    }
+
+    if (commandName === 'lyrics') {
+        const query = interaction.options.getString('query');
         const queue = playerManager.queues?.get(interaction.guildId);
-        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
-        
-        const itemsPerPage = 20;
-        const totalPages = Math.ceil(queue.songs.length / itemsPerPage);
-        const currentPage = 0; // Start at page 0
-        
-        // Build page
-        const buildQueuePage = (page) => {
-            const start = page * itemsPerPage;
-            const end = Math.min(start + itemsPerPage, queue.songs.length);
-            const lines = [];
-            
-            for (let i = start; i < end; i++) {
-                const title = queue.songs[i].title.length > 60 
-                    ? queue.songs[i].title.substring(0, 57) + '...' 
-                    : queue.songs[i].title;
-                const line = i === 0 
-                    ? `**▶️ Now:** ${title}` 
-                    : `**${i}.** ${title}`;
-                lines.push(line);
-            }
-            
-            const embed = new EmbedBuilder()
-                .setColor(0xffc6e6)
-                .setTitle('🎀 Queue')
-                .setDescription(lines.join('\n'))
-                .setFooter({ text: `Page ${page + 1}/${totalPages} • ${queue.songs.length} song${queue.songs.length > 1 ? 's' : ''} total` });
-            
-            const current = queue.songs[0];
-            if (current?.thumbnail) {
-                embed.setThumbnail(current.thumbnail);
+        const current = queue?.songs[0] || null;
+        if (!query && !current) return interaction.reply('Nothing is playing — give a song name to look up.');
+        await interaction.deferReply();
+        try {
+            const result = await lyricsService.lookup(query
+                ? { title: query }
+                : { title: current.title, artist: current.artist, duration: current.duration });
+            if (!result) {
+                const looked = query || current.title;
+                return interaction.editReply(`No lyrics found for **${looked}**.`);
             }
-            
-            return embed;
+            // Highlighting follows the player, so it only applies to the song that's playing.
+            const live = !query && result.synced && interaction.options.getBoolean('highlight') !== false;
+            const sessionId = crypto.randomUUID();
+            const session = {
+                id: sessionId,
+                guildId: interaction.guildId,
+                track: query ? null : current,
+                title: result.title,
+                artist: result.artist,
+                thumbnail: query ? null : current.thumbnail || null,
+                provider: result.provider,
+                synced: result.synced,
+                lines: result.lines,
+                pages: paginateLyrics(result.lines),
+                live,
+                expiresAt: Date.now() + LYRICS_SESSION_TTL,
+            };
+            lyricsSessions.set(sessionId, session);
+            // Button presses push expiresAt back, so re-check instead of deleting blindly.
+            const expireSession = () => {
+                const saved = lyricsSessions.get(sessionId);
+                if (!saved) return;
+                if (saved.expiresAt <= Date.now()) lyricsSessions.delete(sessionId);
+                else setTimeout(expireSession, saved.expiresAt - Date.now() + 1000).unref?.();
+            };
+            setTimeout(expireSession, LYRICS_SESSION_TTL + 1000).unref?.();
+
+            const { embed, components } = buildLyricsPage(session, live ? 'now' : 0);
+            return interaction.editReply({ embeds: [embed], components });
+        } catch (err) {
+            console.error('[lyrics] lookup failed', err);
+            return interaction.editReply(`Lyrics lookup failed: ${err.message}`);
+        }
+    }
+
+    if (commandName === 'filter') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('Nothing is playing…');
+        if (!await ensureCanManageSongs(interaction, [queue.songs[0]])) return;
+        const name = interaction.options.getString('name');
+        const filter = name === 'clear' ? null : createFilter(name, interaction.options.getNumber('amount'));
+        if (name !== 'clear' && !filter) return interaction.reply('Unknown filter.');
+        await interaction.deferReply();
+        try {
+            const position = await queue.setFilter(filter);
+            const where = position != null ? ` — restarted at **${formatDuration(position) || '0:00'}**` : '';
+            return interaction.editReply(filter ? `🎛️ Filter: **${filter.label}**${where}` : `🎛️ Filters cleared${where}`);
+        } catch (err) {
+            console.error('[filter] failed', err);
+            return interaction.editReply(`Couldn't apply the filter: ${err.message}`);
+        }
+    }
+
+    if (commandName === 'history') {
+        const user = interaction.options.getUser('user');
+        const entries = listeningHistory.list(interaction.guildId, { userId: user?.id });
+        if (!entries.length) {
+            return interaction.reply(user ? `Nothing requested by **${user.username}** has played yet.` : 'Nothing has played in this server yet.');
+        }
+        const sessionId = crypto.randomUUID();
+        const session = {
+            id: sessionId,
+            guildId: interaction.guildId,
+            targetName: user ? (interaction.options.getMember('user')?.displayName || user.username) : null,
+            entries,
+            expiresAt: Date.now() + HISTORY_SESSION_TTL,
         };
-        
-        const embed = buildQueuePage(currentPage);
-        
-        // Create navigation buttons
-        const row = new ActionRowBuilder();
-        if (totalPages > 1) {
-            row.addComponents(
-                new ButtonBuilder()
-                    .setCustomId(`queue:${interaction.guildId}:${currentPage - 1}`)
-                    .setLabel('◀')
-                    .setStyle(ButtonStyle.Primary)
-                    .setDisabled(currentPage === 0),
-                new ButtonBuilder()
-                    .setCustomId(`queue:${interaction.guildId}:${currentPage + 1}`)
-                    .setLabel('▶')
-                    .setStyle(ButtonStyle.Primary)
-                    .setDisabled(currentPage === totalPages - 1)
+        historySessions.set(sessionId, session);
+        const expireSession = () => {
+            const saved = historySessions.get(sessionId);
+            if (!saved) return;
+            if (saved.expiresAt <= Date.now()) historySessions.delete(sessionId);
+            else setTimeout(expireSession, saved.expiresAt - Date.now() + 1000).unref?.();
+        };
+        setTimeout(expireSession, HISTORY_SESSION_TTL + 1000).unref?.();
+        const { embed, components } = buildHistoryPage(session, 0);
+        return interaction.reply({ embeds: [embed], components });
+    }
+
+    if (commandName === 'musicstats') {
+        const windowKey = interaction.options.getString('window') || '7d';
+        const window = STATS_WINDOWS[windowKey] || STATS_WINDOWS['7d'];
+        const user = interaction.options.getUser('user');
+        const stats = listeningHistory.stats(interaction.guildId, {
+            userId: user?.id,
+            since: window.ms ? Date.now() - window.ms : null,
+        });
+        if (!stats.plays) return interaction.reply(`No plays in that window${user ? ` for **${user.username}**` : ''}.`);
+
+        const topTracks = stats.topTracks.slice(0, 5).map((t, i) => {
+            const title = t.title.length > 50 ? t.title.substring(0, 47) + '...' : t.title;
+            return `**${i + 1}.** ${t.url ? `[${title}](${t.url})` : title} — ${t.count}×`;
+        });
+        const embed = new EmbedBuilder()
+            .setColor(0xffc6e6)
+            .setTitle(`📊 Music Stats${user ? ` — ${interaction.options.getMember('user')?.displayName || user.username}` : ''}`)
+            .setDescription(window.label)
+            .addFields(
+                { name: 'Plays', value: String(stats.plays), inline: true },
+                { name: 'Hours Listened', value: (stats.listenedSec / 3600).toFixed(1), inline: true },
+                { name: 'Skip Rate', value: stats.skipRate == null ? 'N/A' : formatPerc(stats.skipRate * 100, 0), inline: true },
+                { name: 'Top Tracks', value: topTracks.join('\n').substring(0, 1024) },
             );
+        if (!user) {
+            const topRequesters = stats.topRequesters.slice(0, 5).map((r, i) => `**${i + 1}.** ${r.id ? `<@${r.id}>` : r.name} — ${r.count} play${r.count === 1 ? '' : 's'}`);
+            embed.addFields({ name: 'Top Requesters', value: topRequesters.join('\n').substring(0, 1024) });
         }
-        
-        return interaction.reply({ 
-            embeds: [embed], 
-            components: totalPages > 1 ? [row] : [] 
-        });
+        return interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
     }
 
-    if (commandName === 'remove') {
+    if (commandName === 'fairqueue') {
+        if (!await ensureCanManageSongs(interaction, [])) return;
+        const queue = playerManager.get(interaction.guildId, interaction.channel);
+        const enabled = queue.setFairQueue(interaction.options.getBoolean('enabled'));
+        if (!enabled) return interaction.reply('⚖️ Fair queue **off** — songs play in the order they were added.');
+        if (queue.songs.length < 2) return interaction.reply('⚖️ Fair queue **on** — upcoming songs will rotate between requesters.');
+        return interaction.reply(buildQueuePage(queue, interaction.guildId, 0, '⚖️ Fair Queue On'));
+    }
+
+    if (commandName === 'autoplay') {
+        if (!await ensureCanManageSongs(interaction, [])) return;
+        const queue = playerManager.get(interaction.guildId, interaction.channel);
+        const enabled = queue.setAutoplay(interaction.options.getBoolean('enabled'));
+        if (!enabled) return interaction.reply('📻 Autoplay **off** — playback stops when the queue runs out.');
+        return interaction.reply('📻 Autoplay **on** — related songs will keep playing when the queue runs out.');
+    }
+
+    if (commandName === 'loop') {
         const queue = playerManager.queues?.get(interaction.guildId);
-        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
-        const index = interaction.options.getInteger('index');
-        const removed = queue.remove(index);
-        if (!removed) return interaction.reply('Invalid queue number…');
-        return interaction.reply(`Removed **${removed.title}** from queue.`);
+        if (!queue || !queue.songs.length) return interaction.reply('Nothing is playing…');
+        const mode = interaction.options.getString('mode');
+        if (!LOOP_MODES.includes(mode)) return interaction.reply('Unknown loop mode.');
+        const applied = queue.setLoopMode(mode);
+        return interaction.reply(`Loop mode: **${describeLoopMode(applied)}**`);
     }
 
-    if (commandName === 'shuffle') {
+    if (commandName === 'seek' || commandName === 'forward' || commandName === 'rewind') {
         const queue = playerManager.queues?.get(interaction.guildId);
-        if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
-        queue.shuffle();
-        
-        // Show shuffled queue with pagination
-        const itemsPerPage = 20;
-        const totalPages = Math.ceil(queue.songs.length / itemsPerPage);
-        const currentPage = 0; // Start at page 0
-        
-        // Build page
-        const buildShufflePage = (page) => {
-            const start = page * itemsPerPage;
-            const end = Math.min(start + itemsPerPage, queue.songs.length);
-            const lines = [];
-            
-            for (let i = start; i < end; i++) {
-                const title = queue.songs[i].title.length > 60 
-                    ? queue.songs[i].title.substring(0, 57) + '...' 
-                    : queue.songs[i].title;
-                const line = i === 0 
-                    ? `**▶️ Now:** ${title}` 
-                    : `**${i}.** ${title}`;
-                lines.push(line);
+        if (!queue || !queue.songs.length) return interaction.reply('Nothing is playing…');
+        let target;
+        if (commandName === 'seek') {
+            target = parseTimestamp(interaction.options.getString('position'));
+            if (target == null) return interaction.reply('Invalid timestamp. Use a format like `1:30` or `90`.');
+        } else {
+            const seconds = interaction.options.getInteger('seconds');
+            target = queue.getElapsedSeconds() + (commandName === 'forward' ? seconds : -seconds);
+        }
+        const current = queue.songs[0];
+        if (current.duration && target >= current.duration) return interaction.reply('That is past the end of the song.');
+        if (!await ensureCanManageSongs(interaction, [current])) return;
+        await interaction.deferReply();
+        const applied = await queue.seek(target);
+        if (applied == null) return interaction.editReply('Nothing is playing…');
+        const progress = current.duration ? buildProgressBar(applied, current.duration) : null;
+        return interaction.editReply(`⏩ Jumped to **${formatDuration(applied) || '0:00'}**${progress ? `\n${progress}` : ''}`);
+    }
+
+    if (commandName === 'playlist') {
+        const sub = interaction.options.getSubcommand();
+        const owner = { guildId: interaction.guildId, userId: interaction.user.id };
+        const scopeArg = interaction.options.getString('scope');
+        const canManageServerPlaylist = playlist => playlist.createdBy === interaction.user.id
+            || interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild);
+        // Without an explicit scope, personal playlists win over server ones of the same name.
+        const findPlaylist = name => {
+            for (const sc of scopeArg ? [scopeArg] : PLAYLIST_SCOPES) {
+                const playlist = playlistStore.get(sc, owner, name);
+                if (playlist) return { scope: sc, playlist };
             }
-            
+            return null;
+        };
+
+        if (sub === 'save') {
+            const name = interaction.options.getString('name').trim();
+            const scope = scopeArg || 'personal';
+            if (!name) return interaction.reply({ content: 'Give the playlist a name.', flags: MessageFlags.Ephemeral });
+            const queue = playerManager.queues?.get(interaction.guildId);
+            if (!queue || !queue.songs.length) return interaction.reply('The queue is empty…');
+            const existing = playlistStore.get(scope, owner, name);
+            if (scope === 'server' && existing && !canManageServerPlaylist(existing)) {
+                return interaction.reply({ content: 'Only the creator or someone with Manage Server can overwrite that playlist.', flags: MessageFlags.Ephemeral });
+            }
+            try {
+                const saved = playlistStore.save(scope, owner, name, queue.songs, interaction.user.id);
+                return interaction.reply(`💾 ${existing ? 'Updated' : 'Saved'} ${scope} playlist **${saved.name}** with ${saved.tracks.length} song${saved.tracks.length === 1 ? '' : 's'}.`);
+            } catch (e) {
+                return interaction.reply({ content: e.message, flags: MessageFlags.Ephemeral });
+            }
+        }
+
+        if (sub === 'load') {
+            const name = interaction.options.getString('name').trim();
+            const found = findPlaylist(name);
+            if (!found) return interaction.reply({ content: `No saved playlist named **${name}**.`, flags: MessageFlags.Ephemeral });
+            const vc = interaction.member.voice.channel;
+            if (!vc) return interaction.reply('Join a voice channel first…');
+            const me = interaction.guild?.members?.me;
+            const perms = vc.permissionsFor(me ?? client.user.id);
+            if (!perms?.has(PermissionsBitField.Flags.Connect)) return interaction.reply('Need Connect permission.');
+            if (!perms?.has(PermissionsBitField.Flags.Speak)) return interaction.reply('Need Speak permission.');
+            await interaction.deferReply();
+            const queue = playerManager.get(interaction.guildId, interaction.channel);
+            await queue.connect(vc);
+            try {
+                const addition = await queue.addSavedTracks(found.playlist.tracks, interaction.member, found.playlist.name);
+                return interaction.editReply({ embeds: [buildPlaylistQueuedEmbed(addition, interaction.member)] });
+            } catch (e) {
+                return interaction.editReply(`Couldn't load playlist: ${e.message}`);
+            }
+        }
+
+        if (sub === 'list') {
             const embed = new EmbedBuilder()
                 .setColor(0xffc6e6)
-                .setTitle('🔀 Queue Shuffled')
-                .setDescription(lines.join('\n'))
-                .setFooter({ text: `Page ${page + 1}/${totalPages} • ${queue.songs.length} song${queue.songs.length > 1 ? 's' : ''} total` });
-            
-            const current = queue.songs[0];
-            if (current?.thumbnail) {
-                embed.setThumbnail(current.thumbnail);
+                .setTitle('💾 Saved Playlists');
+            for (const scope of scopeArg ? [scopeArg] : PLAYLIST_SCOPES) {
+                const lines = playlistStore.list(scope, owner)
+                    .map(p => `**${p.name}** — ${p.tracks.length} song${p.tracks.length === 1 ? '' : 's'} • updated <t:${Math.floor(p.updatedAt / 1000)}:R>`);
+                embed.addFields({
+                    name: scope === 'server' ? 'Server' : 'Personal',
+                    value: lines.join('\n').slice(0, 1024) || 'None yet.',
+                });
             }
-            
-            return embed;
-        };
-        
-        const embed = buildShufflePage(currentPage);
-        
-        // Create navigation buttons
-        const row = new ActionRowBuilder();
-        if (totalPages > 1) {
-            row.addComponents(
-                new ButtonBuilder()
-                    .setCustomId(`queue:${interaction.guildId}:${currentPage - 1}`)
-                    .setLabel('◀')
-                    .setStyle(ButtonStyle.Primary)
-                    .setDisabled(currentPage === 0),
-                new ButtonBuilder()
-                    .setCustomId(`queue:${interaction.guildId}:${currentPage + 1}`)
-                    .setLabel('▶')
-                    .setStyle(ButtonStyle.Primary)
-                    .setDisabled(currentPage === totalPages - 1)
-            );
+            return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
         }
-        
-        return interaction.reply({ 
-            embeds: [embed], 
-            components: totalPages > 1 ? [row] : [] 
-        });
-    }
 
-  if (commandName === 'volume') {
-    return interaction.reply('Volume control not implemented yet.');
-  }
+        if (sub === 'delete') {
+            const name = interaction.options.getString('name').trim();
+            const found = findPlaylist(name);
+            if (!found) return interaction.reply({ content: `No saved playlist named **${name}**.`, flags: MessageFlags.Ephemeral });
+            if (found.scope === 'server' && !canManageServerPlaylist(found.playlist)) {
+                return interaction.reply({ content: 'Only the creator or someone with Manage Server can delete that playlist.', flags: MessageFlags.Ephemeral });
+            }
+            playlistStore.delete(found.scope, owner, found.playlist.name);
+            return interaction.reply(`🗑️ Deleted ${found.scope} playlist **${found.playlist.name}**.`);
+        }
+    }
 
     if (commandName === 'skip') {
         const queue = playerManager.queues?.get(interaction.guildId);
         if (!queue || !queue.songs.length) return interaction.reply('Nothing is playing…');
+        if (!await ensureCanManageSongs(interaction, [queue.songs[0]], ' Use /voteskip instead.')) return;
         if (queue.skip()) return interaction.reply('Skipped ♪');
         return interaction.reply('Nothing to skip.');
     }
 
+    if (commandName === 'voteskip') {
+        const queue = playerManager.queues?.get(interaction.guildId);
+        if (!queue || !queue.songs.length) return interaction.reply('Nothing is playing…');
+        if (canManageSongs(interaction.member, [queue.songs[0]])) {
+            if (queue.skip()) return interaction.reply('Skipped ♪');
+            return interaction.reply('Nothing to skip.');
+        }
+        const listeners = getVoiceListenerIds(interaction.guild, queue.voiceChannelId);
+        if (!listeners.includes(interaction.user.id)) {
+            return interaction.reply({ content: 'Join the voice channel I\'m playing in to vote.', flags: MessageFlags.Ephemeral });
+        }
+        const result = queue.voteSkip(interaction.user.id, listeners, getVoteSkipPercent(interaction.guildId));
+        if (!result) return interaction.reply('Nothing is playing…');
+        if (result.passed) return interaction.reply(`🗳️ Vote passed (${result.votes}/${result.needed}) — skipped **${result.track.title}**.`);
+        return interaction.reply(`🗳️ Skip vote for **${result.track.title}**: ${result.votes}/${result.needed}.`);
+    }
+
+    if (commandName === 'dj') {
+        if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+            return interaction.reply({ content: 'You need Manage Server to change music permissions.', flags: MessageFlags.Ephemeral });
+        }
+        const sub = interaction.options.getSubcommand();
+        if (sub === 'role') {
+            const role = interaction.options.getRole('role');
+            setDjRoleId(interaction.guildId, role.id);
+            return interaction.reply({ content: `🎧 DJ role set to ${role}. Others can only manage their own songs and use /voteskip.`, allowedMentions: { parse: [] } });
+        }
+        if (sub === 'clear') {
+            setDjRoleId(interaction.guildId, null);
+            return interaction.reply('🎧 DJ role cleared — everyone can control playback again.');
+        }
+        if (sub === 'voteskip') {
+            const percent = interaction.options.getInteger('percent');
+            setVoteSkipPercent(interaction.guildId, percent);
+            return interaction.reply(`🗳️ Vote-skip now needs **${percent}%** of listeners.`);
+        }
+        const roleId = getDjRoleId(interaction.guildId);
+        const embed = new EmbedBuilder()
+            .setColor(0xffc6e6)
+            .setTitle('🎧 Music Permissions')
+            .addFields(
+                { name: 'DJ Role', value: roleId ? `<@&${roleId}>` : 'Not set (everyone is a DJ)', inline: true },
+                { name: 'Vote-skip', value: `${getVoteSkipPercent(interaction.guildId)}% of listeners`, inline: true },
+                { name: 'You', value: isDj(interaction.member) ? 'DJ' : 'Listener', inline: true },
+            );
+        return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+
     if (commandName === 'stop') {
         const queue = playerManager.queues?.get(interaction.guildId);
         if (!queue || !queue.songs.length) return interaction.reply('Nothing is playing…');
+        if (!await ensureCanManageSongs(interaction, queue.songs)) return;
         queue.stop();
         return interaction.reply('Stopped playback and cleared queue.');
     }
@@ -1308,7 +2335,9 @@ client.on('interactionCreate', async interaction => {
                 .addFields(
                     { name: 'Artist', value: current.artist || 'Unknown', inline: true },
                     { name: 'Duration', value: formatDuration(current.duration) || 'Unknown', inline: true },
-                    { name: 'Status', value: status, inline: true }
+                    { name: 'Status', value: status, inline: true },
+                    { name: 'Volume', value: `${queue.volume}%`, inline: true },
+                    { name: 'Loop', value: describeLoopMode(queue.loopMode), inline: true }
                 )
                 .setFooter({ text: `Requested by ${current.requestedBy}` });
             if (progress) embed.addFields({ name: 'Progress', value: progress });
@@ -1797,8 +2826,49 @@ client.on('clientReady', () => {
     }
 
     applyBotPresence();
+
+    playerManager.restoreAll(client).catch(err => {
+        console.error('[queue restore] failed', err);
+    });
+});
+
+// Auto embed-fix: reply to supported social links with a working embed and a
+// download button. Needs the privileged MessageContent intent.
+client.on('messageCreate', async message => {
+    if (!ENABLE_MESSAGE_CONTENT || message.author?.bot || !message.guildId) return;
+    if (!isEmbedFixEnabled(message.guildId, message.channelId)) return;
+    // Links wrapped in <...> were deliberately posted without an embed.
+    const urls = extractUrls(message.content)
+        .filter(url => isSupportedSocialUrl(url) && !isEmbedFixMirror(url) && !message.content.includes(`<${url}>`))
+        .slice(0, EMBED_FIX_MAX_LINKS);
+    if (!urls.length) return;
+    try {
+        const reply = await buildEmbedFixReply(urls, message.author.id);
+        if (!reply) return;
+        await message.reply({ ...reply, allowedMentions: { parse: [], repliedUser: false } });
+        // Needs Manage Messages; without it the original embed simply stays.
+        await message.suppressEmbeds(true).catch(err => console.warn('[embed-fix] could not suppress original embed', err.message));
+    } catch (err) {
+        console.error('[embed-fix] failed', err);
+    }
+});
+
+client.on('voiceStateUpdate', (oldState, newState) => {
+    try {
+        playerManager.handleVoiceStateUpdate(oldState, newState);
+    } catch (err) {
+        console.error('[voiceStateUpdate] failed', err);
+    }
 });
 
+// Save queue positions on a clean shutdown so restoreAll can pick them up on the next start.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+        playerManager.snapshotAll({ force: true });
+        process.exit(0);
+    });
+}
+
 // Prefer DISCORD_TOKEN but accept BOT_TOKEN as a fallback for convenience.
 const BOT_TOKEN = process.env.DISCORD_TOKEN || process.env.BOT_TOKEN;
 if (!BOT_TOKEN || typeof BOT_TOKEN !== 'string') {
@@ -1856,6 +2926,449 @@ function fixSocialUrl(raw) {
     }
 }
 
+// One row of download buttons for `url`, usable by `userId` until the request expires.
+function createDownloadButtons(url, userId, suffix = '') {
+    const key = crypto.randomBytes(9).toString('base64url');
+    downloadRequests.set(key, { url, userId, expiresAt: Date.now() + DOWNLOAD_REQUEST_TTL });
+    return new ActionRowBuilder().addComponents(
+        Object.entries(DOWNLOAD_MODES).map(([mode, { label, emoji }]) => new ButtonBuilder()
+            .setCustomId(`dl:${key}:${mode}`)
+            .setLabel(suffix ? `${label} ${suffix}` : label)
+            .setEmoji(emoji)
+            .setStyle(ButtonStyle.Secondary))
+    );
+}
+
+// Attachment cap for a download: MAX_ATTACH_MB, but never above what the
+// server's boost tier lets us upload.
+function uploadLimitFor(guild) {
+    return Math.min(MAX_ATTACH_BYTES, GUILD_UPLOAD_LIMITS[guild?.premiumTier ?? 0] ?? GUILD_UPLOAD_LIMITS[0]);
+}
+
+// Downloads `url` as a video, audio file (mp3/opus) or animation (GIF/WebP).
+// Starting at `quality`, each next smaller quality is tried until the file fits
+// under `limitBytes` (unless `fallback` is false). Videos that never fit are
+// re-encoded to fit, and only then fall back to a direct link from
+// tryDownloadWithYtDlp. Results carry the `limitBytes` they were fitted to
+// and whether `fallback` was allowed.
+async function downloadMedia(url, { format = 'video', quality = 'best', audioCodec = 'mp3', fallback = true, onProgress = null } = {}, limitBytes) {
+    if (!DOWNLOAD_FORMATS.includes(format)) format = 'video';
+    const start = Math.max(0, DOWNLOAD_QUALITIES.indexOf(quality));
+    const steps = fallback ? DOWNLOAD_QUALITIES.slice(start) : [DOWNLOAD_QUALITIES[start]];
+    // Only clips short enough to re-encode watchably keep the first step's
+    // oversized file as the compression source; anything longer is never
+    // downloaded beyond the limit.
+    let duration = null;
+    if (format === 'video' && fallback && Number.isFinite(limitBytes)) {
+        duration = (await fetchSocialMeta(url).catch(() => null))?.duration || null;
+    }
+    const canCompress = duration && compressionKbps(duration, limitBytes) >= COMPRESS_MIN_VIDEO_KBPS;
+    let source = null;
+    const result = format === 'gif'
+        ? await downloadAsAnimation(url, steps, limitBytes)
+        : await downloadFirstThatFits(steps, async step => {
+            const keepTooLarge = canCompress && step === steps[0];
+            const selector = keepTooLarge && step === 'best' ? COMPRESS_SOURCE_SELECTOR : VIDEO_SELECTORS[step];
+            const attempt = await downloadWithYtDlpFormat(url, limitBytes, format === 'audio'
+                ? { format: 'ba/b', extractAudio: true, audioFormat: audioCodec === 'opus' ? 'opus' : 'mp3', audioQuality: AUDIO_BITRATES[step] }
+                : { format: selector, mergeOutputFormat: 'mp4' }, { keepTooLarge });
+            if (attempt.tooLarge && attempt.path) source = attempt;
+            return attempt;
+        });
+    if (source && !result.tooLarge) await fs.rm(path.dirname(source.path), { recursive: true, force: true }).catch(() => {});
+    if (result.tooLarge && fallback && format === 'video') {
+        const compressed = source && await compressVideoToFit(source, duration, limitBytes, onProgress).catch(err => {
+            console.warn('[download] compression failed', err.message);
+            return null;
+        });
+        if (compressed) return { ...compressed, limitBytes };
+        const link = await tryDownloadWithYtDlp(url, limitBytes);
+        if (link.type !== 'error') return { ...link, limitBytes };
+    }
+    return { ...result, requestedQuality: DOWNLOAD_QUALITIES[start], limitBytes, fallback };
+}
+
+// Video bitrate that fits `limitBytes` over `duration` seconds next to the audio.
+function compressionKbps(duration, limitBytes) {
+    return Math.floor((limitBytes * 8 * COMPRESS_SIZE_MARGIN) / duration / 1000) - COMPRESS_AUDIO_KBPS;
+}
+
+// Re-encodes an oversized download (`source`, from downloadWithYtDlpFormat
+// with keepTooLarge) with two-pass x264 at the bitrate that fits `limitBytes`,
+// retrying once a little lower if the container overhead was underestimated.
+// Removes the source either way; resolves to null if it still doesn't fit and
+// rejects once COMPRESS_TIMEOUT_MS has passed.
+async function compressVideoToFit(source, duration, limitBytes, onProgress) {
+    const workDir = path.dirname(source.path);
+    const deadline = Date.now() + COMPRESS_TIMEOUT_MS;
+    try {
+        let videoKbps = compressionKbps(duration, limitBytes);
+        const name = `${path.parse(source.name).name}_compressed.mp4`;
+        const outPath = path.join(workDir, name);
+        for (let attempt = 0; attempt < 2 && videoKbps >= COMPRESS_MIN_VIDEO_KBPS; attempt++) {
+            await encodeTwoPass(source.path, outPath, {
+                videoKbps,
+                duration,
+                workDir,
+                deadline,
+                onProgress: progress => onProgress?.({ ...progress, targetBytes: limitBytes }),
+            });
+            const { size } = await fs.stat(outPath);
+            if (size <= limitBytes) {
+                // Move it out of the work dir, which is removed below.
+                const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sena-'));
+                await fs.rename(outPath, path.join(outDir, name));
+                return { type: 'file', path: path.join(outDir, name), name, compressed: true };
+            }
+            videoKbps = Math.floor(videoKbps * (limitBytes / size) * COMPRESS_SIZE_MARGIN);
+        }
+        return null;
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+// Lower bitrates look better at lower resolutions, so scale down with them.
+async function encodeTwoPass(input, output, { videoKbps, duration, workDir, deadline, onProgress }) {
+    const height = videoKbps < 400 ? 360 : videoKbps < 800 ? 480 : videoKbps < 1500 ? 720 : 1080;
+    const common = [
+        '-i', input,
+        '-vf', `scale=-2:'min(${height},ih)'`,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-b:v', `${videoKbps}k`,
+        '-passlogfile', path.join(workDir, 'x264'),
+    ];
+    const report = pass => seconds => onProgress({ pass, percent: Math.min(100, (seconds / duration) * 100) });
+    await runFfmpeg([...common, '-pass', '1', '-an', '-f', 'mp4', os.devNull], { onProgress: report(1), timeoutMs: deadline - Date.now() });
+    await runFfmpeg([...common, '-pass', '2', '-c:a', 'aac', '-b:a', `${COMPRESS_AUDIO_KBPS}k`, '-movflags', '+faststart', output], { onProgress: report(2), timeoutMs: deadline - Date.now() });
+}
+
+// Edits the deferred reply with re-encode progress, at most every few seconds.
+function createCompressProgress(interaction) {
+    let lastEdit = 0;
+    return ({ pass, percent, targetBytes }) => {
+        const now = Date.now();
+        if (now - lastEdit < COMPRESS_PROGRESS_INTERVAL) return;
+        lastEdit = now;
+        interaction.editReply(`🗜️ Too big to attach — compressing to fit ${formatBytes(targetBytes)}… pass ${pass}/2, ${Math.floor(percent)}%`)
+            .catch(err => console.warn('[download] progress edit failed', err.message));
+    };
+}
+
+// Runs `attempt(step)` for each step until one isn't too large. Hard errors
+// stop early since a smaller quality won't fix them.
+async function downloadFirstThatFits(steps, attempt) {
+    let result = { type: 'error' };
+    for (const step of steps) {
+        result = { ...await attempt(step), quality: step };
+        if (!result.tooLarge) return result;
+    }
+    return result;
+}
+
+// Short clips only: the source is downloaded once, then encoded as a GIF and,
+// if that's too big, as an animated WebP at each size step. Audio is dropped.
+// The source is fetched uncapped, so clips of unknown length are refused.
+async function downloadAsAnimation(url, steps, limitBytes) {
+    const meta = await fetchSocialMeta(url).catch(() => null);
+    if (!meta?.duration) {
+        return { type: 'error', reason: `Couldn't tell how long this clip is; only clips up to ${GIF_MAX_SECONDS}s can become a GIF.` };
+    }
+    if (meta.duration > GIF_MAX_SECONDS) {
+        return { type: 'error', reason: `Only clips up to ${GIF_MAX_SECONDS}s can become a GIF (this one is ${Math.round(meta.duration)}s).` };
+    }
+    const source = await downloadWithYtDlpFormat(url, Infinity, { format: 'bv*[height<=720]/b[height<=720]/bv*/b' });
+    if (source.type !== 'file') return source;
+    const workDir = path.dirname(source.path);
+    const baseName = path.parse(source.name).name;
+    try {
+        let result = { type: 'error' };
+        for (const step of steps) {
+            for (const ext of ['gif', 'webp']) {
+                const outPath = path.join(workDir, `${baseName}_${step}.${ext}`);
+                await runFfmpeg(['-i', source.path, '-t', String(GIF_MAX_SECONDS), '-an', ...animationArgs(ext, ANIMATION_SIZES[step]), outPath]);
+                const { size } = await fs.stat(outPath);
+                if (!Number.isFinite(limitBytes) || size <= limitBytes) {
+                    // Move it out of the work dir, which is removed below.
+                    const name = path.basename(outPath);
+                    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sena-'));
+                    await fs.rename(outPath, path.join(outDir, name));
+                    return { type: 'file', path: path.join(outDir, name), name, quality: step };
+                }
+                await fs.unlink(outPath).catch(() => {});
+                result = { type: 'error', tooLarge: true, size, quality: step };
+            }
+        }
+        return result;
+    } catch (e) {
+        return { type: 'error', error: e };
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+function animationArgs(ext, { height, fps }) {
+    const scale = height ? `,scale=-2:'min(${height},ih)':flags=lanczos` : '';
+    if (ext === 'gif') {
+        return ['-vf', `fps=${fps}${scale},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0'];
+    }
+    return ['-vf', `fps=${fps}${scale}`, '-c:v', 'libwebp', '-lossless', '0', '-q:v', '60', '-loop', '0'];
+}
+
+// `onProgress` receives how many seconds of output have been written so far.
+// With `timeoutMs`, ffmpeg is killed and the promise rejects once it runs out.
+function runFfmpeg(args, { onProgress = null, timeoutMs = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const progressArgs = onProgress ? ['-progress', 'pipe:1', '-nostats'] : [];
+        const proc = spawn(FFMPEG_BIN, ['-hide_banner', '-loglevel', 'error', '-y', ...progressArgs, ...args], { stdio: ['ignore', onProgress ? 'pipe' : 'ignore', 'pipe'] });
+        const timer = timeoutMs == null ? null : setTimeout(() => {
+            proc.kill('SIGKILL');
+            reject(new Error('ffmpeg timed out'));
+        }, Math.max(0, timeoutMs));
+        if (onProgress) {
+            let pending = '';
+            proc.stdout.on('data', d => {
+                const lines = (pending + d).split('\n');
+                pending = lines.pop();
+                for (const line of lines) {
+                    const match = line.match(/^out_time_us=(\d+)/);
+                    if (match) onProgress(Number(match[1]) / 1e6);
+                }
+            });
+        }
+        let stderr = '';
+        proc.stderr.on('data', d => { stderr = (stderr + d).slice(-2000); });
+        proc.on('error', err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        proc.on('close', code => {
+            clearTimeout(timer);
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+        });
+    });
+}
+
+// With a finite `limitBytes`, yt-dlp refuses formats known to be bigger and
+// aborts ones that grow past it, so oversized media is never fetched in full.
+// Extracted audio is the exception: the cap would apply to the source stream,
+// not the converted file, so that is only checked once it's done.
+// `keepTooLarge` downloads regardless and hands back an oversized file (with
+// its path) for re-encoding; the caller then owns its directory.
+async function downloadWithYtDlpFormat(url, limitBytes, options, { keepTooLarge = false } = {}) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sena-'));
+    const checked = Number.isFinite(limitBytes) && !keepTooLarge;
+    const capped = checked && !options.extractAudio;
+    try {
+        await youtubedl(url, {
+            ...options,
+            ...(capped ? { maxFilesize: limitBytes } : {}),
+            output: path.join(tmpDir, '%(title).40s_%(id)s.%(ext)s'),
+            ffmpegLocation: FFMPEG_BIN,
+            noPlaylist: true,
+            noWarnings: true,
+            noCheckCertificates: true,
+            restrictFilenames: true,
+            referer: url
+        });
+        // An aborted download may leave a .part file behind.
+        const name = (await fs.readdir(tmpDir)).find(file => !/\.(part|ytdl)$/.test(file));
+        if (!name) {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+            // yt-dlp skips over-limit formats without failing.
+            if (capped) return { type: 'error', tooLarge: true, size: null };
+            throw new Error('yt-dlp produced no file');
+        }
+        const filePath = path.join(tmpDir, name);
+        const { size } = await fs.stat(filePath);
+        if (keepTooLarge && Number.isFinite(limitBytes) && size > limitBytes) {
+            return { type: 'error', tooLarge: true, size, path: filePath, name };
+        }
+        // Merged video+audio is only checked per stream by yt-dlp.
+        if (checked && size > limitBytes) {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+            return { type: 'error', tooLarge: true, size };
+        }
+        return { type: 'file', path: filePath, name };
+    } catch (e) {
+        await fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+        return { type: 'error', error: e };
+    }
+}
+
+// Shared reply for /download and the download buttons. `components` are kept
+// on every outcome so the user can try another format.
+async function replyWithDownload(interaction, result, url, components = []) {
+    const limitBytes = result.limitBytes ?? MAX_ATTACH_BYTES;
+    let note = '';
+    if (result.compressed) note = `🗜️ Re-encoded to fit the ${formatBytes(limitBytes)} upload limit.\n`;
+    else if (result.quality && result.requestedQuality && result.quality !== result.requestedQuality) {
+        note = `Fell back to **${result.quality}** to fit the ${formatBytes(limitBytes)} limit.\n`;
+    }
+    if (result.type === 'file') {
+        try {
+            await interaction.editReply({ content: `${note}Downloaded ${result.name}\n➡ On PC: click the file, then use the Download/save option.\n➡ On phone: tap the file, then long‑press and Save/Download.`, files: [{ attachment: result.path, name: result.name }], components });
+        } catch (e) {
+            // Likely too large to upload. Fallback to direct link if available.
+            const content = result.directUrl
+                ? `File too large to attach. Direct link: ${result.directUrl}`
+                : `File too large to attach. Try this: ${fixSocialUrl(url) || url}`;
+            await interaction.editReply({ content, components });
+        } finally {
+            // Every download lives in its own sena-* temp dir; remove it whole.
+            await fs.rm(path.dirname(result.path), { recursive: true, force: true }).catch(() => {});
+        }
+        return;
+    }
+    if (result.type === 'link') {
+        await interaction.editReply({ content: `File too large to attach. Direct link: ${result.url}`, components });
+        return;
+    }
+    if (result.tooLarge) {
+        const size = result.size ? `That's ${formatBytes(result.size)}, over` : `It's over`;
+        // Best under limit only helps when smaller qualities weren't tried already.
+        const hint = result.fallback === false ? ` Try **${DOWNLOAD_MODES.best.label}** instead.` : '';
+        await interaction.editReply({ content: `${size} the ${formatBytes(limitBytes)} attachment limit even at **${result.quality}**.${hint}`, components });
+        return;
+    }
+    if (result.reason) {
+        await interaction.editReply({ content: result.reason, components });
+        return;
+    }
+    // fallback: try embed-fix link
+    const fx = fixSocialUrl(url);
+    await interaction.editReply({ content: fx ? `Couldn't download. Try this fixed link instead:\n${fx}` : `Couldn't download this URL.`, components });
+}
+
+// Every image and video of a Twitter/X, Instagram or Reddit post, with its
+// author and caption: { uploader, caption, items: [{ url, kind }] } or null.
+// Instagram and Reddit go through their embed-fix mirrors' Open Graph tags,
+// where a lone image may just be a video's thumbnail, so only carousels count.
+async function fetchGalleryMeta(url) {
+    const host = new URL(url).hostname.toLowerCase();
+    const fixed = fixSocialUrl(url);
+    let meta = null;
+    if (/(^|\.)(twitter|x|fxtwitter|vxtwitter)\.com$/.test(host)) {
+        meta = await fetchTwitterMeta(fixed || url);
+    } else if (/(^|\.)(instagram|ddinstagram|reddit|rxddit)\.com$|^(v\.)?redd\.it$/.test(host)) {
+        meta = await fetchOpenGraphMeta(fixed || url);
+        if ((meta?.images?.length || 0) < 2) return null;
+    }
+    if (!meta) return null;
+    const items = [
+        ...(meta.images || []).map(mediaUrl => ({ url: mediaUrl, kind: 'image' })),
+        ...(meta.videos || []).map(mediaUrl => ({ url: mediaUrl, kind: 'video' })),
+    ].slice(0, GALLERY_MAX_ITEMS);
+    if (!items.length) return null;
+    return { uploader: meta.uploader || null, caption: meta.description || meta.title || null, items };
+}
+
+// Attaches the gallery in as many messages as needed: at most 10 files and
+// `limitBytes` per message. Items that fail or are too big are linked instead.
+// Returns false (having sent nothing) when no item could be downloaded.
+async function replyWithGallery(interaction, gallery, url, limitBytes) {
+    const embed = new EmbedBuilder()
+        .setColor(0xffc6e6)
+        .setURL(url)
+        .setTitle('View original post');
+    if (gallery.uploader) embed.setAuthor({ name: String(gallery.uploader).slice(0, 256) });
+    if (gallery.caption) embed.setDescription(gallery.caption.slice(0, 2000));
+    const images = gallery.items.filter(item => item.kind === 'image').length;
+    const videos = gallery.items.length - images;
+    const skipped = [];
+    // The first message may go out before every item is fetched; it is edited
+    // again below if more get skipped afterwards.
+    let footerSkipped = 0;
+    const updateFooter = () => {
+        footerSkipped = skipped.length;
+        embed.setFooter({ text: [
+            images && `${images} image${images === 1 ? '' : 's'}`,
+            videos && `${videos} video${videos === 1 ? '' : 's'}`,
+            footerSkipped && `${footerSkipped} not attached`,
+        ].filter(Boolean).join(' · ') });
+    };
+
+    let batch = [];
+    let batchBytes = 0;
+    let sentMessages = 0;
+    const flush = async () => {
+        if (!batch.length) return;
+        const part = sentMessages + 1;
+        if (sentMessages === 0) {
+            updateFooter();
+            await interaction.editReply({ embeds: [embed], files: batch, components: [createDownloadButtons(url, interaction.user.id)] });
+        } else {
+            await interaction.followUp({ content: `Part ${part}`, files: batch });
+        }
+        sentMessages += 1;
+        batch = [];
+        batchBytes = 0;
+    };
+    for (const [index, item] of gallery.items.entries()) {
+        const file = await fetchGalleryItem(item, index, limitBytes).catch(err => {
+            console.warn('[download] gallery item failed', item.url, err.message);
+            return null;
+        });
+        if (!file) {
+            skipped.push(item.url);
+            continue;
+        }
+        if (batch.length >= GALLERY_FILES_PER_MESSAGE || batchBytes + file.attachment.length > limitBytes) await flush();
+        batch.push(file);
+        batchBytes += file.attachment.length;
+    }
+    await flush();
+    if (!sentMessages) return false;
+    if (skipped.length) {
+        if (skipped.length !== footerSkipped) {
+            updateFooter();
+            await interaction.editReply({ embeds: [embed] });
+        }
+        const links = skipped.slice(0, 10).map(link => `<${link}>`).join('\n');
+        await interaction.followUp({ content: `Couldn't attach ${skipped.length} item${skipped.length === 1 ? '' : 's'} (too large or unavailable):\n${links}` });
+    }
+    return true;
+}
+
+// Downloads one gallery item into memory, refusing anything over `limitBytes`
+// as soon as the body grows past it (content-length is often missing).
+async function fetchGalleryItem(item, index, limitBytes) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), GALLERY_ITEM_TIMEOUT);
+    try {
+        const res = await fetch(item.url, { headers: { 'User-Agent': 'Mozilla/5.0 SenaBot' }, redirect: 'follow', signal: controller.signal });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const declared = Number(res.headers.get('content-length'));
+        if (Number.isFinite(limitBytes) && declared > limitBytes) {
+            res.body.destroy();
+            return null;
+        }
+        const chunks = [];
+        let received = 0;
+        for await (const chunk of res.body) {
+            received += chunk.length;
+            if (Number.isFinite(limitBytes) && received > limitBytes) return null;
+            chunks.push(chunk);
+        }
+        return { attachment: Buffer.concat(chunks), name: galleryItemName(item, index, res.headers.get('content-type')) };
+    } finally {
+        // Leaving the loop early destroys the body, which stops the download.
+        clearTimeout(timer);
+    }
+}
+
+function galleryItemName(item, index, contentType) {
+    const type = contentType || '';
+    const ext = /\.(jpe?g|png|gif|webp|mp4|mov|webm)(?:$|\?)/i.exec(new URL(item.url).pathname)?.[1]
+        || type.split('/')[1]?.split(';')[0]
+        || (item.kind === 'video' ? 'mp4' : 'jpg');
+    return `${String(index + 1).padStart(2, '0')}.${ext.toLowerCase()}`;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
 async function tryDownloadWithYtDlp(url, limitBytes) {
     // Step 1: inspect formats via JSON
     let info;
@@ -1936,6 +3449,55 @@ function isSupportedSocialUrl(u) {
     } catch { return false; }
 }
 
+// Builds the embed-fix reply for a message's links: a rich embed when we can
+// read the post, otherwise the fixed link so Discord embeds that instead.
+// Posts with video use the fixed link too, since embeds can't play video.
+// Each link gets a row of download buttons only `userId` (the poster) can use.
+async function buildEmbedFixReply(urls, userId) {
+    const lines = [];
+    const embeds = [];
+    const rows = [];
+    for (const url of urls) {
+        const fixed = fixSocialUrl(url);
+        let meta = null;
+        try {
+            const host = new URL(url).hostname.toLowerCase();
+            if (fixed && /fxtwitter\.com$/.test(new URL(fixed).hostname)) meta = await fetchTwitterMeta(fixed);
+            else if (host.endsWith('facebook.com') || host === 'fb.watch') meta = await fetchFacebookMeta(fixed || url);
+            else if (!fixed) meta = await fetchOpenGraphMeta(url);
+        } catch (err) {
+            console.warn('[embed-fix] metadata lookup failed', url, err.message);
+        }
+
+        if (meta && !meta.videos?.length && (meta.title || meta.description || meta.thumbnail)) {
+            const embed = new EmbedBuilder()
+                .setColor(0xffc6e6)
+                .setURL(url)
+                .setTitle((meta.title || 'Link').slice(0, 256));
+            if (meta.description && meta.description !== meta.title) embed.setDescription(meta.description.slice(0, 1000));
+            if (meta.uploader) embed.setAuthor({ name: String(meta.uploader).slice(0, 256) });
+            const image = meta.images?.[0] || meta.thumbnail;
+            if (image) embed.setImage(image);
+            embeds.push(embed);
+        } else if (fixed) {
+            lines.push(fixed);
+        } else {
+            continue;
+        }
+
+        rows.push(createDownloadButtons(url, userId, urls.length > 1 ? `#${rows.length + 1}` : ''));
+    }
+    if (!rows.length) return null;
+    return { content: lines.join('\n') || undefined, embeds, components: rows };
+}
+
+// Links that already point at an embed-fix service embed fine on their own.
+function isEmbedFixMirror(u) {
+    try {
+        return /(^|\.)(fxtwitter|vxtwitter|rxddit|vxtiktok|ddinstagram)\.com$/.test(new URL(u).hostname.toLowerCase());
+    } catch { return false; }
+}
+
 async function fetchSocialMeta(url) {
     const json = await youtubedl(url, {
         dumpSingleJson: true,
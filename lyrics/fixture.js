@@ -0,0 +1,39 @@
+import fs from 'node:fs';
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Offline provider backed by a JSON array of
+// { title, artist, plainLyrics?, syncedLyrics? } entries. Used with
+// LYRICS_PROVIDER=fixture to exercise /lyrics without network access.
+export function createFixtureProvider(entriesOrPath) {
+  let entries = entriesOrPath;
+  if (typeof entriesOrPath === 'string') {
+    try {
+      entries = JSON.parse(fs.readFileSync(entriesOrPath, 'utf8'));
+    } catch (err) {
+      console.warn(`[lyrics] failed to read fixture ${entriesOrPath}:`, err.message);
+      entries = [];
+    }
+  }
+  if (!Array.isArray(entries)) entries = [];
+
+  return {
+    name: 'fixture',
+    async search({ title, artist }) {
+      const wantedTitle = normalize(title);
+      const wantedArtist = normalize(artist);
+      const match = entries.find(entry => normalize(entry.title) === wantedTitle
+        && (!wantedArtist || !entry.artist || normalize(entry.artist) === wantedArtist))
+        || entries.find(entry => normalize(entry.title) === wantedTitle);
+      if (!match) return null;
+      return {
+        title: match.title,
+        artist: match.artist || null,
+        plainLyrics: match.plainLyrics || null,
+        syncedLyrics: match.syncedLyrics || null,
+      };
+    },
+  };
+}
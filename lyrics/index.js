@@ -0,0 +1,104 @@
+import lrclibProvider from './lrclib.js';
+import { createFixtureProvider } from './fixture.js';
+
+// A provider is { name, search({ title, artist, duration }) } resolving to
+// { title, artist, plainLyrics, syncedLyrics } or null when nothing matched.
+// syncedLyrics is LRC text ("[01:02.34] line"); either field may be null.
+
+// Bracketed chunks that describe the upload rather than the song.
+const NOISE_BRACKET_RE = /\s*[(\[【「][^)\]】」]*\b(official|video|audio|lyrics?|lyric video|mv|m\/v|hd|hq|4k|visuali[sz]er|remaster(ed)?|color coded|sub(bed|s)?|eng|rom|han)\b[^)\]】」]*[)\]】」]/gi;
+const NOISE_WORDS_RE = /\s*[-|]?\s*\b(official\s+(music\s+)?video|official\s+(audio|mv)|lyric\s+video|with\s+lyrics|lyrics?|mv)\b\s*$/gi;
+const FEATURE_RE = /\s*[(\[]?\s*\b(ft\.?|feat\.?|featuring)\s[^)\]]*[)\]]?/gi;
+const CHANNEL_NOISE_RE = /\s*(vevo|\s-\s*topic|official)\s*$/gi;
+
+function squash(text) {
+  return text.replace(/\s{2,}/g, ' ').replace(/^[\s\-|–—:]+|[\s\-|–—:]+$/g, '').trim();
+}
+
+// Turns a YouTube-style title ("Artist - Song (Official Video) [MV] ft. X")
+// plus the uploader name into the { title, artist } a lyrics site expects.
+export function cleanTrackTitle(rawTitle, rawArtist = null) {
+  let title = squash(String(rawTitle || '').replace(NOISE_BRACKET_RE, '').replace(FEATURE_RE, '').replace(NOISE_WORDS_RE, ''));
+  let artist = rawArtist ? squash(String(rawArtist).replace(CHANNEL_NOISE_RE, '')) : null;
+
+  const dash = title.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  if (dash) {
+    const [, left, right] = dash;
+    // "Artist - Song": trust the title over the channel name, which is often a label.
+    artist = squash(left);
+    title = squash(right);
+  }
+  // K-pop/J-pop uploads quote the song: 'Super Shy', 「アイドル」.
+  const quoted = title.match(/["“「『](.+?)["”」』]|(?:^|\s)'([^']+)'(?=\s|$)/);
+  if (quoted) title = squash(quoted[1] || quoted[2]);
+  return { title: title || String(rawTitle || '').trim(), artist: artist || null };
+}
+
+// Parses LRC text into [{ time, text }] sorted by time (seconds). Lines with
+// several timestamps are repeated; metadata tags like [ar:...] are skipped.
+export function parseLrc(lrc) {
+  const lines = [];
+  for (const raw of String(lrc || '').split(/\r?\n/)) {
+    const stamps = [...raw.matchAll(/\[(\d{1,3}):(\d{1,2}(?:\.\d{1,3})?)\]/g)];
+    if (!stamps.length) continue;
+    const text = raw.replace(/\[[^\]]*\]/g, '').trim();
+    for (const [, minutes, seconds] of stamps) {
+      lines.push({ time: Number(minutes) * 60 + Number(seconds), text });
+    }
+  }
+  return lines.sort((a, b) => a.time - b.time);
+}
+
+// Index of the line being sung at `elapsed` seconds, or -1 before the first one.
+export function findCurrentLyricLine(lines, elapsed) {
+  let current = -1;
+  for (let i = 0; i < lines.length && lines[i].time <= elapsed; i++) current = i;
+  return current;
+}
+
+export class LyricsService {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  // Swaps the backing provider (e.g. a fixture provider in local testing).
+  setProvider(provider) {
+    this.provider = provider;
+    return this;
+  }
+
+  // Returns { title, artist, lines, synced, provider, query } or null. `lines`
+  // are [{ time, text }] for synced lyrics and [{ time: null, text }] otherwise.
+  async lookup({ title, artist = null, duration = null }) {
+    const query = cleanTrackTitle(title, artist);
+    if (!query.title) return null;
+    let found = await this.provider.search({ ...query, duration });
+    // A wrong guess at the artist is worse than none; retry on the title alone.
+    if (!found && query.artist) found = await this.provider.search({ title: query.title, artist: null, duration });
+    if (!found) return null;
+
+    const syncedLines = parseLrc(found.syncedLyrics);
+    const synced = syncedLines.length > 0;
+    const lines = synced
+      ? syncedLines
+      : String(found.plainLyrics || '').split(/\r?\n/).map(text => ({ time: null, text: text.trim() }));
+    if (!lines.some(line => line.text)) return null;
+    return {
+      title: found.title || query.title,
+      artist: found.artist || query.artist,
+      lines,
+      synced,
+      provider: this.provider.name,
+      query,
+    };
+  }
+}
+
+function createDefaultProvider() {
+  if ((process.env.LYRICS_PROVIDER || '').toLowerCase() === 'fixture') {
+    return createFixtureProvider(process.env.LYRICS_FIXTURE_FILE || 'lyrics-fixture.json');
+  }
+  return lrclibProvider;
+}
+
+export const lyricsService = new LyricsService(createDefaultProvider());
@@ -0,0 +1,47 @@
+// LRCLIB (https://lrclib.net): free, keyless, and returns synced LRC lyrics
+// alongside plain text for most popular songs.
+const API_BASE = 'https://lrclib.net/api';
+const REQUEST_TIMEOUT_MS = 8_000;
+const USER_AGENT = 'SenaDiscordBot/1.0 Lyrics';
+
+async function lrclibFetch(pathname, params) {
+  const url = new URL(`${API_BASE}${pathname}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value != null && value !== '') url.searchParams.set(key, String(value));
+  }
+  const res = await fetch(url, { headers: { 'User-Agent': USER_AGENT }, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`LRCLIB returned HTTP ${res.status}`);
+  return res.json();
+}
+
+function toResult(entry) {
+  if (!entry || (!entry.plainLyrics && !entry.syncedLyrics)) return null;
+  return {
+    title: entry.trackName || null,
+    artist: entry.artistName || null,
+    plainLyrics: entry.plainLyrics || null,
+    syncedLyrics: entry.syncedLyrics || null,
+  };
+}
+
+export default {
+  name: 'LRCLIB',
+  async search({ title, artist, duration }) {
+    // The exact-match endpoint needs an artist; with one it is the most accurate.
+    if (artist) {
+      const exact = await lrclibFetch('/get', {
+        track_name: title,
+        artist_name: artist,
+        duration: duration ? Math.round(duration) : null,
+      });
+      const result = toResult(exact);
+      if (result) return result;
+    }
+    const matches = await lrclibFetch('/search', artist ? { track_name: title, artist_name: artist } : { q: title });
+    if (!Array.isArray(matches)) return null;
+    // Prefer synced lyrics, then anything with text.
+    const best = matches.find(m => m.syncedLyrics) || matches.find(m => m.plainLyrics);
+    return toResult(best);
+  },
+};
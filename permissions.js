@@ -0,0 +1,38 @@
+import { PermissionsBitField } from 'discord.js';
+import { guildSettings } from './storage.js';
+
+export const DEFAULT_VOTE_SKIP_PERCENT = 50;
+
+export function getDjRoleId(guildId) {
+  return guildSettings.get(guildId)?.djRoleId || null;
+}
+
+export function getVoteSkipPercent(guildId) {
+  const percent = Number(guildSettings.get(guildId)?.voteSkipPercent);
+  return Number.isFinite(percent) && percent > 0 && percent <= 100 ? percent : DEFAULT_VOTE_SKIP_PERCENT;
+}
+
+export function setDjRoleId(guildId, roleId) {
+  guildSettings.update(guildId, { djRoleId: roleId || null });
+}
+
+export function setVoteSkipPercent(guildId, percent) {
+  guildSettings.update(guildId, { voteSkipPercent: percent });
+}
+
+// Who may run destructive music commands. Without a configured DJ role every
+// member counts as a DJ, which keeps servers that never set one unchanged.
+export function isDj(member) {
+  if (!member) return false;
+  const roleId = getDjRoleId(member.guild?.id);
+  if (!roleId) return true;
+  if (member.permissions?.has?.(PermissionsBitField.Flags.ManageGuild)) return true;
+  return Boolean(member.roles?.cache?.has(roleId));
+}
+
+// True when `member` is a DJ or requested every one of `songs` themselves.
+// An empty list means "DJ only" (settings that affect everyone's songs).
+export function canManageSongs(member, songs) {
+  if (isDj(member)) return true;
+  return songs.length > 0 && songs.every(song => song?.requesterId && song.requesterId === member?.id);
+}
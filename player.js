@@ -4,18 +4,50 @@ import {
   createAudioResource,
   AudioPlayerStatus,
   VoiceConnectionStatus,
-  entersState,
-  StreamType
+  VoiceConnectionDisconnectReason,
+  entersState
 } from '@discordjs/voice';
-import { EmbedBuilder } from 'discord.js';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import playdl from 'play-dl';
 import ytdlp from 'yt-dlp-exec';
-import { spawn } from 'node:child_process';
-import ffmpegStatic from 'ffmpeg-static';
+import { guildSettings, JsonStore } from './storage.js';
+import { listeningHistory } from './history.js';
+import { autoplayService } from './autoplay/index.js';
+import { resolveExternalUrl, createExternalTrack } from './sources.js';
+import { streamResolvers } from './streams/index.js';
+import { isPlaydlDisabled } from './streams/playdl.js';
 
 const MAX_PLAYLIST_LENGTH = Math.max(1, Number(process.env.MAX_PLAYLIST_LENGTH || '400') || 400);
+const DEFAULT_VOLUME = 100;
+export const MAX_VOLUME = 200;
+export const VOLUME_STEP = 10; // per press of the now-playing 🔉/🔊 buttons
 
-function isYouTubeUrl(u) {
+// Snapshots older than this are discarded instead of resumed after a restart.
+const QUEUE_RESTORE_MAX_AGE_MS = Math.max(0, Number(process.env.QUEUE_RESTORE_MAX_AGE_MINUTES || '720') || 0) * 60_000;
+const QUEUE_SNAPSHOT_INTERVAL_MS = 10_000;
+const RECENT_TRACK_COUNT = 5; // finished tracks kept as autoplay seeds
+// Leave voice this long after the queue ends / after the last listener leaves (0 = never).
+const IDLE_DISCONNECT_MS = Math.max(0, Number(process.env.IDLE_DISCONNECT_MINUTES ?? '5') || 0) * 60_000;
+// How long a dropped voice connection may take to come back before we give up.
+const VOICE_RECONNECT_TIMEOUT_MS = Math.max(5, Number(process.env.VOICE_RECONNECT_SECONDS || '30') || 30) * 1000;
+const MAX_VOICE_REJOIN_ATTEMPTS = 5;
+const EMPTY_CHANNEL_DISCONNECT_MS = Math.max(0, Number(process.env.EMPTY_CHANNEL_DISCONNECT_MINUTES ?? '2') || 0) * 60_000;
+const queueSnapshots = new JsonStore('queues.json');
+
+export const LOOP_MODES = ['off', 'track', 'queue'];
+const LOOP_MODE_LABELS = { off: 'Off', track: '🔂 Track', queue: '🔁 Queue' };
+
+export function describeLoopMode(mode) {
+  return LOOP_MODE_LABELS[mode] || LOOP_MODE_LABELS.off;
+}
+
+function clampVolume(value) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n)) return DEFAULT_VOLUME;
+  return Math.min(MAX_VOLUME, Math.max(0, n));
+}
+
+export function isYouTubeUrl(u) {
   if (!u || typeof u !== 'string') return false;
   try {
     const url = new URL(u);
@@ -23,6 +55,13 @@ function isYouTubeUrl(u) {
   } catch { return false; }
 }
 
+// YouTube tracks must point at YouTube; other sources just need an http(s) URL.
+function isPlayableTrack(track) {
+  if (!track?.url) return false;
+  if ((track.source || 'youtube') === 'youtube') return isYouTubeUrl(track.url);
+  return /^https?:\/\//i.test(track.url);
+}
+
 function ensureVideoUrl(obj) {
   if (!obj) return null;
   if (obj.url && typeof obj.url === 'string') return obj.url;
@@ -53,6 +92,37 @@ function buildProgressBar(elapsed, total) {
   return `[${bar}] ${elapsedLabel} / ${totalLabel} (${Math.round(ratio * 100)}%)`;
 }
 
+// Identifies who queued a song for fair-queue rotation and /removeuser.
+function requesterKey(song) {
+  return song?.requesterId || song?.requestedBy || 'Unknown';
+}
+
+// Round-robin interleave of `songs` by requester, keeping each requester's own
+// order. Requesters take turns in order of their first song, except that
+// `lastKey` (whoever's song is playing) goes last so someone else is next.
+function interleaveByRequester(songs, lastKey) {
+  const buckets = new Map();
+  for (const song of songs) {
+    const key = requesterKey(song);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(song);
+  }
+  const order = [...buckets.keys()];
+  if (order.length > 1 && order[0] === lastKey) order.push(order.shift());
+  const result = [];
+  for (let round = 0; result.length < songs.length; round++) {
+    for (const key of order) {
+      const song = buckets.get(key)[round];
+      if (song) result.push(song);
+    }
+  }
+  return result;
+}
+
+function describeRequester(member) {
+  return member?.displayName || member?.nickname || member?.user?.username || 'Unknown';
+}
+
 function extractThumbnail(candidate) {
   if (!candidate) return null;
   if (typeof candidate === 'string') return candidate;
@@ -74,21 +144,46 @@ class GuildQueue {
     this.textChannel = textChannel;
     this.songs = [];
     this.connection = null;
+    this.voiceChannelId = null;
     this.player = createAudioPlayer();
     this.paused = false;
     // Playback timing tracking for progress bar
     this.currentStartMs = 0; // when current track started/resumed
     this.pausedAtMs = null;  // when paused started
     this.accumulatedPauseMs = 0; // total paused duration for current track
+    this.playbackSpeed = 1;  // track seconds per wall-clock second for the current stream (filters)
+    this.filter = null;      // active audio filter from streams/filters.js
+    this.historyEntry = null; // { track, entry } — listening-history row for the song playing now
     this.nowPlayingMessage = null;
     this.nowPlayingInterval = null;
     this.currentResource = null; // Track current audio resource
     this.isTransitioning = false; // Prevent duplicate transitions
+    this.volume = clampVolume(guildSettings.get(guildId)?.volume ?? DEFAULT_VOLUME); // percent, 100 = unity gain
+    this.loopMode = 'off'; // one of LOOP_MODES
+    this.fairQueue = Boolean(guildSettings.get(guildId)?.fairQueue); // rotate upcoming songs between requesters
+    this.autoplay = Boolean(guildSettings.get(guildId)?.autoplay); // keep playing related tracks when the queue runs out
+    this.autoplayLookup = null; // token for the in-flight autoplay pick; cleared to discard it
+    this.recentTracks = []; // last finished tracks, newest first
+    this.lastSnapshot = null; // serialized state of the last saved snapshot, to skip unchanged writes
+    this.skipRequested = false; // a manual skip always advances, even in track loop
+    this.skipVotes = { track: null, voters: new Set(), needed: 0 }; // /voteskip tally, only valid while `track` is songs[0]
+    this.pendingLookups = new WeakMap(); // track -> in-flight YouTube match for lazily resolved tracks
+    this.prefetch = null; // { track, promise } — stream lookup for songs[1], started while songs[0] plays
+    this.idleDisconnectTimer = null;  // armed when the queue runs out
+    this.emptyChannelTimer = null;    // armed when no humans are left in the voice channel
+    this.pausedForEmptyChannel = false; // we paused (not a user), so rejoining listeners resume
+    this.voiceRecovery = null; // { position, wasPaused, timer } while a dropped connection is being recovered
+    this.rejoinAttempts = 0;
     this._wirePlayerEvents();
   }
 
   _wirePlayerEvents() {
     this.player.on(AudioPlayerStatus.Idle, () => {
+      // The stream usually dies while voice is down; _finishVoiceRecovery restarts it.
+      if (this.voiceRecovery) {
+        console.log('[AudioPlayer] Idle during voice recovery, keeping current track');
+        return;
+      }
       // Prevent duplicate processing during transitions
       if (this.isTransitioning) {
         console.log('[AudioPlayer] Skipping Idle event during transition');
@@ -103,8 +198,18 @@ class GuildQueue {
       
       console.log('[AudioPlayer] Song finished, moving to next');
       this.isTransitioning = true;
-      this.songs.shift();
-      // Reset timing for next track
+      const skipped = this.skipRequested;
+      this.skipRequested = false;
+      this._finishHistoryEntry(skipped);
+      if (this.loopMode === 'track' && !skipped) {
+        console.log('[AudioPlayer] Track loop active, replaying');
+      } else {
+        const finished = this.songs.shift();
+        if (this.loopMode === 'queue' && finished) this.songs.push(finished);
+        if (finished) this.recentTracks = [finished, ...this.recentTracks].slice(0, RECENT_TRACK_COUNT);
+      }
+      // Reset timing and votes for next track
+      this.skipVotes = { track: null, voters: new Set(), needed: 0 };
       this.currentStartMs = 0;
       this.pausedAtMs = null;
       this.accumulatedPauseMs = 0;
@@ -118,7 +223,7 @@ class GuildQueue {
         });
       } else {
         this.isTransitioning = false;
-        this.textChannel.send('Queue ended.');
+        this._onQueueEmpty();
       }
     });
     this.player.on('error', e => {
@@ -131,7 +236,7 @@ class GuildQueue {
                            e.message.includes('premature close') ||
                            e.message.includes('socket hang up');
       
-      if (isStreamError) {
+      if (isStreamError || this.voiceRecovery) {
         console.log('[AudioPlayer] Stream error detected, not skipping track');
         // Don't skip the song - let it transition naturally via Idle event
         return;
@@ -140,7 +245,8 @@ class GuildQueue {
       console.log('[AudioPlayer] Real playback error, skipping track');
       this.textChannel.send(`Playback error: ${e.message}`);
       this.isTransitioning = true;
-      this.songs.shift();
+      this._finishHistoryEntry(false);
+      const failed = this.songs.shift();
       if (this.songs.length) {
         setImmediate(() => {
           this.isTransitioning = false;
@@ -148,11 +254,19 @@ class GuildQueue {
         });
       } else {
         this.isTransitioning = false;
+        this._onQueueEmpty(failed);
       }
     });
     this.player.on('stateChange', (o,n) => console.log('[AudioPlayer]', o.status, '=>', n.status));
   }
 
+  // Track length, plus how long it actually takes to hear under a speed-changing filter.
+  _describeDuration(duration) {
+    const label = formatDuration(duration) || 'Unknown';
+    if (!duration || this.playbackSpeed === 1) return label;
+    return `${label} (${formatDuration(duration / this.playbackSpeed)} at ${this.playbackSpeed}×)`;
+  }
+
   _buildNowPlayingEmbed(current) {
     const embed = new EmbedBuilder()
       .setColor(0xffc6e6)
@@ -160,9 +274,15 @@ class GuildQueue {
       .setDescription(`**${current.title}**`)
       .addFields(
         { name: 'Artist', value: current.artist || 'Unknown', inline: true },
-        { name: 'Duration', value: formatDuration(current.duration) || 'Unknown', inline: true },
+        { name: 'Duration', value: this._describeDuration(current.duration), inline: true },
         { name: 'Requested By', value: current.requestedBy || 'Unknown', inline: true },
+        { name: 'Volume', value: `${this.volume}%`, inline: true },
+        { name: 'Loop', value: describeLoopMode(this.loopMode), inline: true },
       );
+    if (this.filter) embed.addFields({ name: 'Filter', value: this.filter.label, inline: true });
+
+    const votes = this.currentSkipVotes();
+    if (votes) embed.addFields({ name: 'Skip Votes', value: `🗳️ ${votes.votes}/${votes.needed}`, inline: true });
 
     const elapsed = this.getElapsedSeconds();
     const progress = current.duration ? buildProgressBar(elapsed, current.duration) : null;
@@ -184,6 +304,28 @@ class GuildQueue {
     return embed;
   }
 
+  // Control panel under the now-playing embed; index.js handles the np:<guild>:<action> ids.
+  _buildNowPlayingControls() {
+    const id = action => `np:${this.guildId}:${action}`;
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(id('pause')).setEmoji(this.paused ? '▶️' : '⏸️').setLabel(this.paused ? 'Resume' : 'Pause').setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(id('skip')).setEmoji('⏭️').setLabel('Skip').setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(id('stop')).setEmoji('⏹️').setLabel('Stop').setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId(id('loop')).setLabel(`Loop: ${describeLoopMode(this.loopMode)}`).setStyle(this.loopMode === 'off' ? ButtonStyle.Secondary : ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(id('shuffle')).setEmoji('🔀').setLabel('Shuffle').setStyle(ButtonStyle.Secondary).setDisabled(this.songs.length < 3),
+      ),
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(id('voldown')).setEmoji('🔉').setLabel(`-${VOLUME_STEP}%`).setStyle(ButtonStyle.Secondary).setDisabled(this.volume <= 0),
+        new ButtonBuilder().setCustomId(id('volup')).setEmoji('🔊').setLabel(`+${VOLUME_STEP}%`).setStyle(ButtonStyle.Secondary).setDisabled(this.volume >= MAX_VOLUME),
+      ),
+    ];
+  }
+
+  buildNowPlayingView(current = this.songs[0]) {
+    return { embeds: [this._buildNowPlayingEmbed(current)], components: this._buildNowPlayingControls() };
+  }
+
   _stopNowPlayingUpdates() {
     if (this.nowPlayingInterval) {
       clearInterval(this.nowPlayingInterval);
@@ -208,8 +350,7 @@ class GuildQueue {
       return;
     }
     try {
-      const embed = this._buildNowPlayingEmbed(current);
-      await this.nowPlayingMessage.edit({ embeds: [embed] });
+      await this.nowPlayingMessage.edit(this.buildNowPlayingView(current));
     } catch (err) {
       console.error('[now playing edit] failed', err);
       this._clearNowPlayingMessage();
@@ -218,6 +359,8 @@ class GuildQueue {
 
   _clearNowPlayingMessage() {
     this._stopNowPlayingUpdates();
+    // The old embed stays as a record, but its buttons would act on whatever plays next.
+    this.nowPlayingMessage?.edit({ components: [] }).catch(() => {});
     this.nowPlayingMessage = null;
   }
 
@@ -225,11 +368,11 @@ class GuildQueue {
     if (!current) return;
     this._stopNowPlayingUpdates();
     try {
-      const embed = this._buildNowPlayingEmbed(current);
+      const view = this.buildNowPlayingView(current);
       if (this.nowPlayingMessage) {
-        await this.nowPlayingMessage.edit({ embeds: [embed] });
+        await this.nowPlayingMessage.edit(view);
       } else {
-        this.nowPlayingMessage = await this.textChannel.send({ embeds: [embed] });
+        this.nowPlayingMessage = await this.textChannel.send(view);
       }
       this._startNowPlayingUpdater();
     } catch (err) {
@@ -240,6 +383,7 @@ class GuildQueue {
 
   async connect(voiceChannel) {
     if (this.connection) return;
+    this.voiceChannelId = voiceChannel.id;
     this.connection = joinVoiceChannel({
       channelId: voiceChannel.id,
       guildId: voiceChannel.guild.id,
@@ -253,13 +397,112 @@ class GuildQueue {
       this.connection.destroy();
       this.connection = null;
     }
-    if (this.connection) this.connection.subscribe(this.player);
+    if (this.connection) {
+      this.connection.subscribe(this.player);
+      this._watchConnection(this.connection);
+    }
+  }
+
+  // Reconnect state machine. Disconnected or stuck in Signalling/Connecting
+  // after having been Ready starts a recovery window; reaching Ready again
+  // restarts the current track where it was, running out of time cleans up.
+  _watchConnection(connection) {
+    this.rejoinAttempts = 0;
+    connection.on('stateChange', (oldState, newState) => {
+      if (this.connection !== connection || oldState.status === newState.status) return;
+      console.log('[voice]', oldState.status, '=>', newState.status);
+      switch (newState.status) {
+        case VoiceConnectionStatus.Ready:
+          this.rejoinAttempts = 0;
+          this.voiceChannelId = connection.joinConfig.channelId;
+          if (this.voiceRecovery) this._finishVoiceRecovery().catch(err => console.error('[voice] resume after reconnect failed', err));
+          break;
+        case VoiceConnectionStatus.Disconnected:
+          this._beginVoiceRecovery();
+          this._onVoiceDisconnected(connection, newState).catch(err => console.error('[voice] reconnect attempt failed', err));
+          break;
+        case VoiceConnectionStatus.Signalling:
+        case VoiceConnectionStatus.Connecting:
+          this._beginVoiceRecovery();
+          break;
+        case VoiceConnectionStatus.Destroyed:
+          // Destroyed by someone other than disconnect() (which nulls this.connection first)
+          this.connection = null;
+          this.disconnect('⚠️ Voice connection was closed, queue cleared.');
+          break;
+      }
+    });
+  }
+
+  async _onVoiceDisconnected(connection, state) {
+    // 4014: moved, kicked or channel deleted. A move is followed by a new
+    // connection attempt within a few seconds; anything else is a kick.
+    if (state.reason === VoiceConnectionDisconnectReason.WebSocketClose && state.closeCode === 4014) {
+      try {
+        await entersState(connection, VoiceConnectionStatus.Connecting, 5_000);
+      } catch {
+        if (this.connection === connection && connection.state.status === VoiceConnectionStatus.Disconnected) {
+          this.disconnect('👋 Removed from the voice channel, queue cleared.');
+        }
+      }
+      return;
+    }
+    if (this.rejoinAttempts >= MAX_VOICE_REJOIN_ATTEMPTS) {
+      this._failVoiceRecovery();
+      return;
+    }
+    this.rejoinAttempts += 1;
+    await new Promise(resolve => setTimeout(resolve, this.rejoinAttempts * 2_000).unref?.());
+    if (this.connection !== connection || connection.state.status !== VoiceConnectionStatus.Disconnected) return;
+    console.log(`[voice] guild ${this.guildId}: rejoin attempt ${this.rejoinAttempts}/${MAX_VOICE_REJOIN_ATTEMPTS}`);
+    connection.rejoin();
+  }
+
+  _beginVoiceRecovery() {
+    if (this.voiceRecovery) return;
+    this.voiceRecovery = {
+      position: Math.floor(this.getElapsedSeconds()),
+      wasPaused: this.paused,
+      timer: setTimeout(() => this._failVoiceRecovery(), VOICE_RECONNECT_TIMEOUT_MS),
+    };
+    this.voiceRecovery.timer.unref?.();
+    console.log(`[voice] guild ${this.guildId}: connection lost at ${this.voiceRecovery.position}s, recovering`);
+  }
+
+  async _finishVoiceRecovery() {
+    const { position, wasPaused, timer } = this.voiceRecovery;
+    clearTimeout(timer);
+    this.voiceRecovery = null;
+    if (!this.songs.length) return;
+    console.log(`[voice] guild ${this.guildId}: reconnected, resuming at ${position}s`);
+    await this._playCurrent(position);
+    if (wasPaused) await this._pauseOncePlaying();
+  }
+
+  _failVoiceRecovery() {
+    if (this.voiceRecovery) clearTimeout(this.voiceRecovery.timer);
+    this.voiceRecovery = null;
+    if (!this.connection) return;
+    console.warn(`[voice] guild ${this.guildId}: could not recover the voice connection`);
+    this.disconnect('⚠️ Lost the voice connection and could not reconnect. Queue cleared — use /play to start again.');
+  }
+
+  // The bot's own voice state changed: follow a move to another channel.
+  onMoved(channelId) {
+    if (!this.connection || !channelId || channelId === this.voiceChannelId) return;
+    console.log(`[voice] guild ${this.guildId}: moved to ${channelId}`);
+    this.voiceChannelId = channelId;
+    if (this.connection.state.status === VoiceConnectionStatus.Disconnected) {
+      this.connection.rejoin({ ...this.connection.joinConfig, channelId });
+    }
   }
 
-  async add(query, member) {
+  // `position` is where to insert: undefined (end), 'next', 'now' (interrupt
+  // the current song) or a 1-based queue number.
+  async add(query, member, { position } = {}) {
     if (!query || typeof query !== 'string') throw new Error('Empty query');
-    const requestedBy = member?.displayName || member?.nickname || member?.user?.username || 'Unknown';
-    const ctx = { query };
+    const requestedBy = describeRequester(member);
+    const ctx = { query, requesterId: member?.id ?? null, position };
     let url = null;
     let title = null;
     const meta = { duration: null, thumbnail: null, artist: null };
@@ -275,19 +518,14 @@ class GuildQueue {
           url = ensureVideoUrl(res[0]);
           title = res[0].title || info.name;
           meta.artist = info.artists?.[0]?.name || null;
-        } else if (info?.type === 'playlist') {
-          const first = info.tracks?.[0];
-          if (!first) throw new Error('Empty Spotify playlist');
-          const terms = `${first.name} ${first.artists.map(a=>a.name).join(' ')}`;
-          const res = await playdl.search(terms, { limit:1 });
-          ctx.search = { terms, count: res.length };
-          if (!res.length) throw new Error('No YouTube match for first playlist track');
-          url = ensureVideoUrl(res[0]);
-          title = res[0].title || first.name;
-          meta.artist = first.artists?.[0]?.name || null;
+        } else if (info?.type === 'playlist' || info?.type === 'album') {
+          return await this._queueSpotifyCollection(info, requestedBy, ctx);
         } else throw new Error('Unsupported Spotify resource');
       } else if (/^https?:\/\//i.test(query)) {
-        if (!isYouTubeUrl(query)) throw new Error('Only YouTube URLs supported');
+        if (!isYouTubeUrl(query)) {
+          ctx.external = true;
+          return await this._queueExternal(query, requestedBy, ctx);
+        }
         if (/list=/.test(query)) {
           ctx.youtubePlaylist = true;
           return await this._queueYouTubePlaylist(query, requestedBy, ctx);
@@ -316,8 +554,7 @@ class GuildQueue {
 
     // Metadata extraction (best-effort; won't fail add if it errors)
     try {
-      const disablePlaydl = process.env.DISABLE_PLAYDL === '1' || process.env.NO_PLAYDL === '1';
-      if (!disablePlaydl) {
+      if (!isPlaydlDisabled()) {
         const info = await playdl.video_basic_info(url);
         const vd = info?.video_details;
         meta.duration = vd?.durationInSec || null;
@@ -338,9 +575,8 @@ class GuildQueue {
     }
 
     console.log('Queue add resolved:', { url, title });
-    this.songs.push({ title, url, requestedBy, duration: meta.duration, thumbnail: meta.thumbnail, artist: meta.artist });
-    if (this.player.state.status === AudioPlayerStatus.Idle) await this._playCurrent();
-    return { type: 'track', track: { title, url, duration: meta.duration, thumbnail: meta.thumbnail, artist: meta.artist } };
+    const index = await this._enqueueTrack({ title, url, requestedBy, duration: meta.duration, thumbnail: meta.thumbnail, artist: meta.artist, source: 'youtube' }, ctx);
+    return { type: 'track', track: { title, url, duration: meta.duration, thumbnail: meta.thumbnail, artist: meta.artist }, position: index };
   }
 
   _createTrackFromPlaylistVideo(video, requestedBy, fallbackTitle) {
@@ -358,9 +594,144 @@ class GuildQueue {
       duration,
       thumbnail,
       artist,
+      source: 'youtube',
+    };
+  }
+
+  // Tracks imported from Spotify collections carry a `searchQuery` instead of a URL;
+  // the YouTube match is looked up by _resolveTrackUrl shortly before they play.
+  _createPendingTrack({ title, artist, duration, thumbnail, searchQuery }, requestedBy) {
+    if (!searchQuery) return null;
+    return {
+      title: title || searchQuery,
+      url: null,
+      requestedBy,
+      duration: duration || null,
+      thumbnail: thumbnail || null,
+      artist: artist || null,
+      source: 'youtube',
+      searchQuery,
+    };
+  }
+
+  async _resolveTrackUrl(track) {
+    if (!track || track.url || !track.searchQuery) return track?.url ?? null;
+    let lookup = this.pendingLookups.get(track);
+    if (!lookup) {
+      lookup = playdl.search(track.searchQuery, { limit: 1 })
+        .then(res => {
+          const url = ensureVideoUrl(res[0]);
+          if (!url) return null;
+          track.url = url;
+          if (!track.duration && res[0].durationInSec) track.duration = res[0].durationInSec;
+          if (!track.thumbnail) track.thumbnail = extractThumbnail(res[0].thumbnails || res[0].thumbnail);
+          return url;
+        })
+        .catch(err => {
+          console.warn('[lazy match] search failed:', track.searchQuery, err.message);
+          return null;
+        })
+        .finally(() => this.pendingLookups.delete(track));
+      this.pendingLookups.set(track, lookup);
+    }
+    return lookup;
+  }
+
+  // Appends resolved tracks, starts playback if idle and returns the /play summary.
+  // Where new tracks go for a given add() `position`: 'next' and 'now' right
+  // after the current song, a 1-based queue number (clamped), or the end.
+  _insertionIndex(position) {
+    if (!this.songs.length) return 0;
+    if (position === 'next' || position === 'now') return 1;
+    if (Number.isInteger(position)) return Math.min(Math.max(position, 1), this.songs.length);
+    return this.songs.length;
+  }
+
+  // Every queued track goes through here so the requester's id (used by
+  // /removeuser) and the requested position are applied in one place.
+  // Returns the queue index the first track ended up at (0 = playing now).
+  async _insertTracks(tracks, ctx) {
+    for (const track of tracks) track.requesterId = ctx?.requesterId ?? null;
+    const index = this._insertionIndex(ctx?.position);
+    this.songs.splice(index, 0, ...tracks);
+    // Appends are spread out between requesters; an explicit position is honoured as given.
+    if (this.fairQueue && ctx?.position === undefined && this.songs.length > 2) this._applyFairOrder();
+    if (this.player.state.status === AudioPlayerStatus.Idle) {
+      await this._playCurrent();
+      return index;
+    }
+    // Skipping shifts the interrupted song off; everything after it stays queued.
+    // While a stream is still opening the skip fails and the track stays at #1.
+    if (ctx?.position === 'now' && index === 1 && this.skip()) return 0;
+    this._refreshPrefetch();
+    return index;
+  }
+
+  async _enqueueTrack(track, ctx) {
+    return this._insertTracks([track], ctx);
+  }
+
+  async _enqueueCollection(tracks, title, ctx) {
+    const position = await this._insertTracks(tracks, ctx);
+    return {
+      type: 'playlist',
+      title,
+      trackCount: tracks.length,
+      firstTrack: tracks[0],
+      position,
     };
   }
 
+  async _queueExternal(url, requestedBy, ctx) {
+    const resolved = await resolveExternalUrl(url, { requestedBy, limit: MAX_PLAYLIST_LENGTH });
+    console.log('Queue add resolved external:', { url, source: resolved.tracks[0]?.source, count: resolved.tracks.length });
+    if (resolved.isCollection) return this._enqueueCollection(resolved.tracks, resolved.title, ctx);
+    const [track] = resolved.tracks;
+    const position = await this._enqueueTrack(track, ctx);
+    return { type: 'track', track, position };
+  }
+
+  async _queueSpotifyCollection(info, requestedBy, ctx) {
+    const spotifyTracks = await info.all_tracks();
+    ctx.spotifyTrackCount = spotifyTracks.length;
+    const fallbackThumbnail = info.thumbnail?.url || null;
+    const tracks = [];
+    for (const t of spotifyTracks.slice(0, MAX_PLAYLIST_LENGTH)) {
+      const artists = (t.artists || []).map(a => a.name).filter(Boolean);
+      const track = this._createPendingTrack({
+        title: t.name,
+        artist: artists.join(', '),
+        duration: t.durationInSec,
+        thumbnail: t.thumbnail?.url || fallbackThumbnail,
+        searchQuery: t.name ? `${t.name} ${artists.join(' ')}`.trim() : null,
+      }, requestedBy);
+      if (track) tracks.push(track);
+    }
+    if (!tracks.length) throw new Error(`Empty Spotify ${info.type}`);
+
+    console.log('Queued Spotify collection:', { type: info.type, title: info.name, added: tracks.length, total: spotifyTracks.length });
+    return this._enqueueCollection(tracks, info.name || (info.type === 'album' ? 'Spotify Album' : 'Spotify Playlist'), ctx);
+  }
+
+  // Queues tracks saved by /playlist save. Entries are rebuilt through the same
+  // path as YouTube playlist videos so they get the same validation.
+  async addSavedTracks(saved, member, playlistTitle) {
+    const requestedBy = describeRequester(member);
+    const tracks = [];
+    for (const entry of saved.slice(0, MAX_PLAYLIST_LENGTH)) {
+      const video = { url: entry.url, title: entry.title, duration: entry.duration, thumbnail: entry.thumbnail, channel: { name: entry.artist } };
+      let track;
+      if (!entry.url) track = this._createPendingTrack(entry, requestedBy);
+      else if (entry.source && entry.source !== 'youtube') track = createExternalTrack(entry, entry.source, requestedBy);
+      else track = this._createTrackFromPlaylistVideo(video, requestedBy, playlistTitle);
+      if (track) tracks.push(track);
+    }
+    if (!tracks.length) throw new Error('Playlist has no playable tracks');
+
+    console.log('Queued saved playlist:', { title: playlistTitle, added: tracks.length, total: saved.length });
+    return this._enqueueCollection(tracks, playlistTitle, { requesterId: member?.id ?? null });
+  }
+
   async _queueYouTubePlaylist(query, requestedBy, ctx) {
     let collected = [];
     let playlistTitle = 'YouTube Playlist';
@@ -428,152 +799,169 @@ class GuildQueue {
     }
     if (!tracks.length) throw new Error('Playlist has no playable videos');
 
-    this.songs.push(...tracks);
     console.log('Queued playlist:', { title: playlistTitle, added: tracks.length, total: collected.length });
-    if (this.player.state.status === AudioPlayerStatus.Idle) await this._playCurrent();
-    return {
-      type: 'playlist',
-      title: playlistTitle,
-      trackCount: tracks.length,
-      firstTrack: tracks[0],
-    };
+    return this._enqueueCollection(tracks, playlistTitle, ctx);
   }
 
-  async _playCurrent() {
+  // `startAt` (seconds) restarts the track part-way through; used by seek/forward/rewind.
+  async _playCurrent(startAt = 0) {
     const current = this.songs[0];
     console.log('Attempting playback:', current);
     if (!current) return;
-    if (!current.url || !isYouTubeUrl(current.url)) {
+    if (!current.url && current.searchQuery) {
+      await this._resolveTrackUrl(current);
+      if (this.songs[0] !== current) return; // queue changed while matching
+      if (!current.url) {
+        this.textChannel.send(`No YouTube match for **${current.title}**, skipping…`);
+        this.songs.shift();
+        this._clearNowPlayingMessage();
+        if (this.songs.length) setImmediate(() => this._playCurrent());
+        return;
+      }
+    }
+    if (!isPlayableTrack(current)) {
       this.textChannel.send('Invalid URL, skipping…');
-      this.songs.shift();
+      const failed = this.songs.shift();
       this._clearNowPlayingMessage();
       if (this.songs.length) {
         setImmediate(() => this._playCurrent());
+      } else {
+        this._onQueueEmpty(failed);
       }
       return;
     }
-    // Initialize timing for new track
-    this.currentStartMs = Date.now();
+    this._cancelIdleDisconnect();
+    // Initialize timing for new track (backdated so elapsed time includes the seek offset)
+    this.playbackSpeed = this.filter?.speed || 1;
+    this.currentStartMs = Date.now() - (startAt * 1000) / this.playbackSpeed;
     this.pausedAtMs = null;
     this.accumulatedPauseMs = 0;
     this.paused = false;
     this.isTransitioning = false;
-    const disablePlaydl = process.env.DISABLE_PLAYDL === '1' || process.env.NO_PLAYDL === '1';
-    const announce = () => this._sendNowPlayingEmbed(current);
-    if (!disablePlaydl) {
-      // Primary
-      try {
-        const s = await playdl.stream(current.url);
-        const r = createAudioResource(s.stream, { 
-          inputType: s.type,
-          inlineVolume: true
-        });
-        r.volume?.setVolume(1.0);
-        s.stream.on('error', err => {
-          if (err.message !== 'aborted' && !err.message.includes('premature')) {
-            console.error('[stream error]', err);
-          }
-        });
-        this.currentResource = r; // Keep reference to prevent GC
-        this.player.play(r);
-        console.log('[playback] Started via play-dl primary method');
-        announce();
-        return;
-      } catch (e) { console.error('[primary fail]', e.message); }
-      // Info fallback
-      try {
-        const info = await playdl.video_basic_info(current.url);
-        const s = await playdl.stream_from_info(info);
-        const r = createAudioResource(s.stream, { 
-          inputType: s.type,
-          inlineVolume: true
-        });
-        r.volume?.setVolume(1.0);
-        s.stream.on('error', err => {
-          if (err.message !== 'aborted' && !err.message.includes('premature')) {
-            console.error('[stream error]', err);
-          }
-        });
-        this.currentResource = r; // Keep reference to prevent GC
-        this.player.play(r);
-        console.log('[playback] Started via play-dl info fallback');
-        announce();
-        return;
-      } catch (e) { console.error('[info fallback fail]', e.message); }
-    } else {
-      console.log('Play-dl disabled via env flag, skipping primary fallbacks');
-    }
-    // yt-dlp extraction
-    let direct = null;
     try {
-      const json = await ytdlp(current.url, { dumpSingleJson:true, noWarnings:true, skipDownload:true, noCallHome:true, format:'bestaudio/best' });
-      direct = json?.url;
-      if (!direct && Array.isArray(json?.requested_formats)) direct = json.requested_formats.find(f=>f?.url)?.url;
-      if (!direct && Array.isArray(json?.formats)) {
-        const best = json.formats.filter(f=>/audio/i.test(f?.acodec) && !/video/i.test(f?.vcodec)).slice(-1)[0];
-        direct = best?.url;
+      const prepared = await this._takePrefetch(current);
+      const { stream, type, resolver } = await streamResolvers.open(current, { startAt, prepared, filter: this.filter });
+      this._playStream(stream, type);
+      console.log(`[playback] Started via ${resolver}${prepared ? ' (prefetched)' : ''}`);
+      // Seeks, filter changes and reconnects restart the same song; only log real starts.
+      if (this.historyEntry?.track !== current) {
+        this._finishHistoryEntry(true);
+        this.historyEntry = { track: current, entry: listeningHistory.record(this.guildId, current) };
       }
-      if (direct) console.log('[yt-dlp] direct url length:', direct.length);
-    } catch(e){ console.error('[yt-dlp fail]', e.message); }
-    if (direct) {
-      // Skip direct stream - it's unreliable and drops connection mid-playback
-      // Use ffmpeg to properly buffer and transcode the stream
-      // ffmpeg encode
-      try {
-        const ffmpegPath = process.env.FFMPEG_PATH || ffmpegStatic;
-        const args = [
-          '-reconnect', '1',
-          '-reconnect_streamed', '1', 
-          '-reconnect_delay_max', '5',
-          '-i', direct,
-          '-analyzeduration', '0',
-          '-loglevel', 'error',
-          '-vn',
-          '-c:a', 'libopus',
-          '-b:a', '128k',
-          '-f', 'ogg',
-          'pipe:1'
-        ];
-        console.log('[ffmpeg encode] spawning with reconnect support...');
-        const proc = spawn(ffmpegPath, args, { stdio:['ignore','pipe','pipe'] });
-        proc.stderr.on('data', d=>{ const m=d.toString().trim(); if(m) console.warn('[ffmpeg]', m); });
-        proc.on('error', err=>console.error('[ffmpeg proc error]', err));
-        proc.on('close', code=>{ if(code!==0) console.warn('[ffmpeg exit]', code); });
-        proc.stdout.on('error', err => {
-          if (err.message !== 'aborted') console.error('[ffmpeg stdout error]', err);
-        });
-        const r = createAudioResource(proc.stdout, { 
-          inputType: StreamType.OggOpus,
-          inlineVolume: true
-        });
-        r.volume?.setVolume(1.0);
-        this.currentResource = r; // Keep reference to prevent GC
-        this.player.play(r);
-        console.log('[playback] Started via ffmpeg transcode');
-        announce();
-        return;
-      } catch(e){ console.error('[ffmpeg encode fail]', e.message); }
-    }
+      this._sendNowPlayingEmbed(current);
+      this._prefetchNext();
+      return;
+    } catch (e) { console.error('[playback] every stream strategy failed:', e.message); }
     this.textChannel.send('All playback methods failed, skipping…');
-    this.songs.shift();
+    const failed = this.songs.shift();
     this._clearNowPlayingMessage();
     if (this.songs.length) {
       setImmediate(() => this._playCurrent());
+    } else {
+      this._onQueueEmpty(failed);
     }
   }
 
+  _finishHistoryEntry(skipped) {
+    if (!this.historyEntry) return;
+    listeningHistory.finish(this.guildId, this.historyEntry.entry, { skipped, listenedSec: this.getElapsedSeconds() });
+    this.historyEntry = null;
+  }
+
+  // Looks up the stream for songs[1] (YouTube match included) while songs[0]
+  // plays, so the Idle handler can start it without waiting on play-dl/yt-dlp.
+  _prefetchNext() {
+    const next = this.songs[1];
+    if (!next) {
+      this.prefetch = null;
+      return;
+    }
+    if (this.prefetch?.track === next) return;
+    const promise = this._resolveTrackUrl(next)
+      .then(() => (isPlayableTrack(next) ? streamResolvers.prepare(next) : null))
+      .catch(err => {
+        console.warn('[prefetch] failed:', err.message);
+        return null;
+      });
+    this.prefetch = { track: next, promise };
+  }
+
+  // Returns the prefetched lookup only if it was made for `track`.
+  _takePrefetch(track) {
+    if (!this.prefetch || this.prefetch.track !== track) return null;
+    const { promise } = this.prefetch;
+    this.prefetch = null;
+    return promise;
+  }
+
+  // Call after any edit that can change songs[1]; drops a stale prefetch and starts a new one.
+  _refreshPrefetch() {
+    if (this.prefetch?.track === this.songs[1]) return;
+    this.prefetch = null;
+    if (this.currentResource) this._prefetchNext();
+  }
+
+  _playStream(stream, type) {
+    stream.on('error', err => {
+      if (err.message !== 'aborted' && !err.message.includes('premature')) {
+        console.error('[stream error]', err);
+      }
+    });
+    const r = createAudioResource(stream, {
+      inputType: type,
+      inlineVolume: true
+    });
+    r.volume?.setVolume(this.volume / 100);
+    this.currentResource = r; // Keep reference to prevent GC
+    this.player.play(r);
+  }
+
+  // Records a /voteskip. Only votes from `listenerIds` (humans in our voice
+  // channel) count; the song is skipped once `percent` of them have voted.
+  voteSkip(userId, listenerIds, percent) {
+    const current = this.songs[0];
+    if (!current) return null;
+    if (this.skipVotes.track !== current) this.skipVotes = { track: current, voters: new Set(), needed: 0 };
+    const { voters } = this.skipVotes;
+    voters.add(userId);
+    for (const id of voters) if (!listenerIds.includes(id)) voters.delete(id);
+    const needed = Math.max(1, Math.ceil(listenerIds.length * percent / 100));
+    this.skipVotes.needed = needed;
+    const result = { votes: voters.size, needed, passed: voters.size >= needed, track: current };
+    if (result.passed) this.skip();
+    else this._updateNowPlayingMessage().catch(() => {});
+    return result;
+  }
+
+  currentSkipVotes() {
+    const { track, voters, needed } = this.skipVotes;
+    if (!track || track !== this.songs[0] || !voters.size) return null;
+    return { votes: voters.size, needed };
+  }
+
   skip() {
     if (!this.songs.length) return false;
-    this.player.stop();
-    return true;
+    // Idle usually arrives a few frames after stop() (silence padding) but can
+    // fire synchronously, so the flag goes first. stop() does nothing while a
+    // stream is still opening; report that and don't leave the flag behind.
+    this.skipRequested = true;
+    const stopped = this.player.stop();
+    if (!stopped) this.skipRequested = false;
+    return stopped;
   }
   stop() {
+    this.autoplayLookup = null;
+    this._finishHistoryEntry(true);
     this.songs = [];
+    this.prefetch = null;
     this.player.stop();
     this._clearNowPlayingMessage();
+    this.clearSnapshot();
+    this._scheduleIdleDisconnect();
     this.textChannel.send('⏹️ Stopped and cleared queue.');
   }
   pause() {
+    this.pausedForEmptyChannel = false;
     if (this.player.pause()) {
       if (!this.paused) {
         this.pausedAtMs = Date.now();
@@ -584,7 +972,19 @@ class GuildQueue {
     }
     return false;
   }
+  // _playCurrent returns while the new resource is still buffering, and the
+  // AudioPlayer only pauses once it is Playing, so wait for that first.
+  async _pauseOncePlaying() {
+    const track = this.songs[0];
+    try {
+      await entersState(this.player, AudioPlayerStatus.Playing, 15_000);
+    } catch {
+      return false;
+    }
+    return this.songs[0] === track && this.pause();
+  }
   resume() {
+    this.pausedForEmptyChannel = false;
     if (this.player.unpause()) {
       if (this.pausedAtMs) {
         this.accumulatedPauseMs += Date.now() - this.pausedAtMs;
@@ -596,20 +996,386 @@ class GuildQueue {
     }
     return false;
   }
-  shuffle() { const [first,...rest]=this.songs; for(let i=rest.length-1;i>0;i--){ const j=Math.floor(Math.random()*(i+1)); [rest[i],rest[j]]=[rest[j],rest[i]];} this.songs=[first,...rest]; }
-  remove(index){ if(index<=0||index>=this.songs.length) return null; const [r]=this.songs.splice(index,1); return r; }
+  // Restarts the current track at `seconds`, clamped to the track length.
+  // Returns the position actually used, or null when nothing is playing.
+  async seek(seconds) {
+    const current = this.songs[0];
+    if (!current) return null;
+    const max = current.duration ? Math.max(0, current.duration - 1) : Infinity;
+    const target = Math.floor(Math.min(max, Math.max(0, seconds)));
+    const wasPaused = this.paused;
+    await this._playCurrent(target);
+    if (wasPaused) await this._pauseOncePlaying();
+    return target;
+  }
+  // Swaps the audio filter (null clears it) and restarts the current song where
+  // it was so the new -af chain takes effect. Returns the restart position.
+  async setFilter(filter) {
+    this.filter = filter || null;
+    const current = this.songs[0];
+    if (!current || !this.currentResource) {
+      this._updateNowPlayingMessage().catch(() => {});
+      return null;
+    }
+    const position = Math.floor(this.getElapsedSeconds());
+    const wasPaused = this.paused;
+    await this._playCurrent(position);
+    if (wasPaused) await this._pauseOncePlaying();
+    return position;
+  }
+  setLoopMode(mode) {
+    this.loopMode = LOOP_MODES.includes(mode) ? mode : 'off';
+    this._updateNowPlayingMessage().catch(() => {});
+    return this.loopMode;
+  }
+  setVolume(percent) {
+    this.volume = clampVolume(percent);
+    this.currentResource?.volume?.setVolume(this.volume / 100);
+    guildSettings.update(this.guildId, { volume: this.volume });
+    this._updateNowPlayingMessage().catch(() => {});
+    return this.volume;
+  }
+  // The last song finished or failed: keep going with autoplay, or end the queue.
+  // A failed autoplay pick ends it so a broken source can't loop forever.
+  _onQueueEmpty(failed = null) {
+    if (this.autoplay && !failed?.autoplay) this._continueWithAutoplay();
+    else this._endQueue();
+  }
+
+  _endQueue(message = 'Queue ended.') {
+    this.clearSnapshot();
+    this._scheduleIdleDisconnect();
+    this.textChannel.send(message);
+  }
+
+  // The queue ran out with autoplay on: pick a related track and keep playing,
+  // or end the queue as usual when nothing suitable turns up.
+  async _continueWithAutoplay() {
+    const lookup = {};
+    this.autoplayLookup = lookup;
+    let track = null;
+    try {
+      track = await autoplayService.pickNext(this.guildId, { recentTracks: this.recentTracks });
+    } catch (err) {
+      console.warn('[autoplay] pick failed', err.message);
+    }
+    // Stopped, disconnected or switched off meanwhile.
+    if (this.autoplayLookup !== lookup) return;
+    this.autoplayLookup = null;
+    // Someone queued a song while we were looking; theirs is already playing.
+    if (this.songs.length) return;
+    if (!this.connection) {
+      this._endQueue();
+      return;
+    }
+    if (!track) {
+      this._endQueue('Queue ended. 📻 Autoplay found nothing new to play.');
+      return;
+    }
+    console.log('[autoplay] picked', { title: track.title, url: track.url });
+    this.songs.push(track);
+    this._cancelIdleDisconnect();
+    this._playCurrent();
+  }
+
+  // Turning autoplay on with nothing playing starts it right away.
+  setAutoplay(enabled) {
+    this.autoplay = Boolean(enabled);
+    guildSettings.update(this.guildId, { autoplay: this.autoplay });
+    if (!this.autoplay) this.autoplayLookup = null;
+    else if (this.connection && !this.songs.length && !this.autoplayLookup) this._continueWithAutoplay();
+    return this.autoplay;
+  }
+
+  setFairQueue(enabled) {
+    this.fairQueue = Boolean(enabled);
+    guildSettings.update(this.guildId, { fairQueue: this.fairQueue });
+    if (this.fairQueue) this._applyFairOrder();
+    return this.fairQueue;
+  }
+
+  _applyFairOrder() {
+    const [current, ...upcoming] = this.songs;
+    if (!current) return;
+    this.songs = [current, ...interleaveByRequester(upcoming, requesterKey(current))];
+    this._refreshPrefetch();
+  }
+
+  // First upcoming song per requester, in play order: [{ name, index, song }].
+  nextPerRequester() {
+    const seen = new Map();
+    this.songs.forEach((song, index) => {
+      const key = requesterKey(song);
+      if (index === 0 || seen.has(key)) return;
+      seen.set(key, { name: song.requestedBy || 'Unknown', index, song });
+    });
+    return [...seen.values()];
+  }
+
+  shuffle() { const [first,...rest]=this.songs; for(let i=rest.length-1;i>0;i--){ const j=Math.floor(Math.random()*(i+1)); [rest[i],rest[j]]=[rest[j],rest[i]];} this.songs=[first,...rest]; this._refreshPrefetch(); }
+  remove(index){ if(!this.isQueuedIndex(index)) return null; const [r]=this.songs.splice(index,1); this._refreshPrefetch(); return r; }
+
+  // Queue positions are 1-based over upcoming songs; 0 is the current song and can't be edited.
+  isQueuedIndex(index) {
+    return Number.isInteger(index) && index > 0 && index < this.songs.length;
+  }
+
+  move(from, to) {
+    if (!this.isQueuedIndex(from) || !this.isQueuedIndex(to)) return null;
+    const [song] = this.songs.splice(from, 1);
+    this.songs.splice(to, 0, song);
+    this._refreshPrefetch();
+    return song;
+  }
 
+  swap(a, b) {
+    if (!this.isQueuedIndex(a) || !this.isQueuedIndex(b)) return null;
+    [this.songs[a], this.songs[b]] = [this.songs[b], this.songs[a]];
+    this._refreshPrefetch();
+    return [this.songs[b], this.songs[a]];
+  }
+
+  // Drops everything between the current song and `index`, then skips to it.
+  // In queue loop the dropped songs go to the back instead of being lost.
+  // Returns the target song, or null when the current one can't be stopped yet.
+  skipTo(index) {
+    if (!this.isQueuedIndex(index)) return null;
+    const skipped = this.songs.splice(1, index - 1);
+    const target = this.songs[1];
+    // In queue loop the skipped songs belong behind the current one, which Idle
+    // only rotates to the end; this listener runs after that handler.
+    const requeue = () => { if (this.songs.length) this.songs.push(...skipped); };
+    if (this.loopMode === 'queue') this.player.once(AudioPlayerStatus.Idle, requeue);
+    this._refreshPrefetch();
+    if (!this.skip()) {
+      this.player.off(AudioPlayerStatus.Idle, requeue);
+      this.songs.splice(1, 0, ...skipped);
+      this._refreshPrefetch();
+      return null;
+    }
+    return target;
+  }
+
+  // Empties the upcoming queue but keeps the current song playing.
+  clearUpcoming() {
+    const removed = this.songs.splice(1);
+    this._refreshPrefetch();
+    return removed.length;
+  }
+
+  removeRange(start, end) {
+    if (!this.isQueuedIndex(start) || !this.isQueuedIndex(end) || start > end) return null;
+    const removed = this.songs.splice(start, end - start + 1);
+    this._refreshPrefetch();
+    return removed;
+  }
+
+  removeByRequester(userId) {
+    const [current, ...upcoming] = this.songs;
+    const kept = upcoming.filter(song => song.requesterId !== userId);
+    const removed = upcoming.length - kept.length;
+    this.songs = [current, ...kept];
+    if (removed) this._refreshPrefetch();
+    return removed;
+  }
+
+  // Removes upcoming songs that repeat an earlier entry (the current song included).
+  dedupe() {
+    const keyOf = song => song.url || song.searchQuery || song.title?.toLowerCase();
+    const seen = new Set();
+    const before = this.songs.length;
+    this.songs = this.songs.filter((song, i) => {
+      const key = keyOf(song);
+      if (i > 0 && key && seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const removed = before - this.songs.length;
+    if (removed) this._refreshPrefetch();
+    return removed;
+  }
+
+  _scheduleIdleDisconnect() {
+    this._cancelIdleDisconnect();
+    if (!IDLE_DISCONNECT_MS || !this.connection) return;
+    this.idleDisconnectTimer = setTimeout(() => {
+      this.idleDisconnectTimer = null;
+      if (this.songs.length) return;
+      this.disconnect(`👋 Left the voice channel after ${Math.round(IDLE_DISCONNECT_MS / 60_000)} min with nothing queued.`);
+    }, IDLE_DISCONNECT_MS);
+    this.idleDisconnectTimer.unref?.();
+  }
+  _cancelIdleDisconnect() {
+    if (this.idleDisconnectTimer) clearTimeout(this.idleDisconnectTimer);
+    this.idleDisconnectTimer = null;
+  }
+
+  // Called by PlayerManager on every voice state change in this guild with the
+  // number of non-bot members left in our channel.
+  onListenerCountChange(humans) {
+    if (!this.connection) return;
+    if (humans > 0) {
+      if (this.emptyChannelTimer) {
+        clearTimeout(this.emptyChannelTimer);
+        this.emptyChannelTimer = null;
+      }
+      if (this.pausedForEmptyChannel) {
+        this.pausedForEmptyChannel = false;
+        if (this.resume()) console.log(`[voice] guild ${this.guildId}: listener back, resumed`);
+      }
+      return;
+    }
+    if (this.player.state.status === AudioPlayerStatus.Playing && this.pause()) {
+      this.pausedForEmptyChannel = true;
+      console.log(`[voice] guild ${this.guildId}: channel empty, paused`);
+    }
+    if (!EMPTY_CHANNEL_DISCONNECT_MS || this.emptyChannelTimer) return;
+    this.emptyChannelTimer = setTimeout(() => {
+      this.emptyChannelTimer = null;
+      this.disconnect(`👋 Left the voice channel after ${Math.round(EMPTY_CHANNEL_DISCONNECT_MS / 60_000)} min with no listeners.`);
+    }, EMPTY_CHANNEL_DISCONNECT_MS);
+    this.emptyChannelTimer.unref?.();
+  }
+
+  // Leaves voice and drops the queue. `notice` is posted to the text channel if given.
+  disconnect(notice) {
+    this._cancelIdleDisconnect();
+    this.autoplayLookup = null;
+    if (this.voiceRecovery) clearTimeout(this.voiceRecovery.timer);
+    this.voiceRecovery = null;
+    if (this.emptyChannelTimer) clearTimeout(this.emptyChannelTimer);
+    this.emptyChannelTimer = null;
+    this.pausedForEmptyChannel = false;
+    this._finishHistoryEntry(false);
+    this.songs = [];
+    this.prefetch = null;
+    this.player.stop(true);
+    this._clearNowPlayingMessage();
+    this.clearSnapshot();
+    const connection = this.connection;
+    this.connection = null;
+    if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
+      try { connection.destroy(); } catch (err) { console.warn('[voice] destroy failed', err.message); }
+    }
+    this.voiceChannelId = null;
+    this.currentResource = null;
+    if (notice) this.textChannel?.send(notice).catch(err => console.error('[voice] disconnect notice failed', err));
+  }
+
+  // Persists enough state to resume this queue after a restart (see PlayerManager.restoreAll).
+  // Unchanged state isn't written again unless `force` is set (shutdown), which
+  // also refreshes savedAt for the restore age check.
+  saveSnapshot({ force = false } = {}) {
+    if (!this.songs.length || !this.voiceChannelId || !this.textChannel?.id) {
+      this.clearSnapshot();
+      return;
+    }
+    const snapshot = {
+      voiceChannelId: this.voiceChannelId,
+      textChannelId: this.textChannel.id,
+      songs: this.songs,
+      loopMode: this.loopMode,
+      volume: this.volume,
+      position: Math.floor(this.getElapsedSeconds()),
+      paused: this.paused,
+    };
+    const serialized = JSON.stringify(snapshot);
+    if (!force && serialized === this.lastSnapshot) return;
+    this.lastSnapshot = serialized;
+    queueSnapshots.set(this.guildId, { ...snapshot, songs: [...this.songs], savedAt: Date.now() });
+  }
+  clearSnapshot() {
+    this.lastSnapshot = null;
+    queueSnapshots.delete(this.guildId);
+  }
+
+  // Position in the current track (not wall-clock time, which differs under speed filters).
   getElapsedSeconds() {
     if (!this.currentStartMs) return 0;
     const now = this.paused && this.pausedAtMs ? this.pausedAtMs : Date.now();
-    const elapsed = (now - this.currentStartMs - this.accumulatedPauseMs) / 1000;
+    const elapsed = ((now - this.currentStartMs - this.accumulatedPauseMs) / 1000) * this.playbackSpeed;
     return elapsed < 0 ? 0 : elapsed;
   }
 }
 
 export class PlayerManager {
-  constructor(){ this.queues=new Map(); }
+  constructor(){
+    this.queues=new Map();
+    this.snapshotTimer = setInterval(() => this.snapshotAll(), QUEUE_SNAPSHOT_INTERVAL_MS);
+    this.snapshotTimer.unref?.();
+  }
   get(guildId, textChannel){ let q=this.queues.get(guildId); if(!q){ q=new GuildQueue(guildId,textChannel); this.queues.set(guildId,q);} return q; }
+
+  // Wired to the client's voiceStateUpdate event (needs the GuildVoiceStates intent).
+  handleVoiceStateUpdate(oldState, newState) {
+    const queue = this.queues.get(newState.guild.id);
+    if (queue && newState.id === newState.client.user.id) queue.onMoved(newState.channelId);
+    const channelId = queue?.connection ? queue.voiceChannelId : null;
+    if (!channelId || (oldState.channelId !== channelId && newState.channelId !== channelId)) return;
+    const channel = newState.guild.channels.cache.get(channelId);
+    if (!channel) return;
+    const humans = channel.members.filter(m => !m.user.bot).size;
+    queue.onListenerCountChange(humans);
+  }
+
+  snapshotAll({ force = false } = {}) {
+    for (const queue of this.queues.values()) {
+      try { queue.saveSnapshot({ force }); } catch (err) { console.error('[queue snapshot] failed', err); }
+    }
+  }
+
+  // Rejoins voice and resumes every queue snapshotted before the last shutdown.
+  async restoreAll(client) {
+    for (const guildId of queueSnapshots.keys()) {
+      const snapshot = queueSnapshots.get(guildId);
+      try {
+        await this._restore(client, guildId, snapshot);
+      } catch (err) {
+        console.error(`[queue restore] guild ${guildId} failed`, err);
+        queueSnapshots.delete(guildId);
+      }
+    }
+  }
+
+  async _restore(client, guildId, snapshot) {
+    const age = Date.now() - (snapshot?.savedAt || 0);
+    if (!snapshot?.songs?.length || (QUEUE_RESTORE_MAX_AGE_MS && age > QUEUE_RESTORE_MAX_AGE_MS)) {
+      queueSnapshots.delete(guildId);
+      return;
+    }
+    const guild = await client.guilds.fetch(guildId);
+    const voiceChannel = await guild.channels.fetch(snapshot.voiceChannelId).catch(() => null);
+    const textChannel = await guild.channels.fetch(snapshot.textChannelId).catch(() => null);
+    if (!voiceChannel?.isVoiceBased?.() || !textChannel?.isTextBased?.()) {
+      console.warn(`[queue restore] guild ${guildId}: channels no longer available, dropping snapshot`);
+      queueSnapshots.delete(guildId);
+      return;
+    }
+
+    const queue = this.get(guildId, textChannel);
+    if (queue.songs.length) return; // someone already started a new queue
+    queue.textChannel = textChannel;
+    queue.songs = snapshot.songs;
+    queue.setLoopMode(snapshot.loopMode);
+    const position = Math.max(0, Number(snapshot.position) || 0);
+    // Keeps periodic snapshots accurate while connecting.
+    queue.currentStartMs = Date.now() - position * 1000;
+    await queue.connect(voiceChannel);
+    if (!queue.connection) {
+      queue.songs = [];
+      queueSnapshots.delete(guildId);
+      return;
+    }
+
+    await queue._playCurrent(position);
+    const current = queue.songs[0];
+    if (!current) return;
+    const paused = snapshot.paused && await queue._pauseOncePlaying();
+    console.log(`[queue restore] guild ${guildId}: resumed ${queue.songs.length} songs at ${position}s`);
+    const state = paused ? ' — still paused, use /resume to continue' : '';
+    await textChannel.send(`♻️ I restarted, so I picked the queue back up: **${current.title}** from ${formatDuration(position) || '0:00'} (${queue.songs.length} song${queue.songs.length > 1 ? 's' : ''} queued)${state}.`)
+      .catch(err => console.error('[queue restore] notice failed', err));
+  }
 }
 
 export const playerManager = new PlayerManager();
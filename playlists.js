@@ -0,0 +1,79 @@
+import { JsonStore } from './storage.js';
+
+export const PLAYLIST_SCOPES = ['personal', 'server'];
+export const MAX_PLAYLISTS_PER_OWNER = 25;
+export const MAX_PLAYLIST_NAME_LENGTH = 50;
+
+// Only the fields needed to rebuild a track; requester is filled in on load.
+function serializeTrack(song) {
+  return {
+    title: song.title,
+    url: song.url,
+    duration: song.duration ?? null,
+    thumbnail: song.thumbnail ?? null,
+    artist: song.artist ?? null,
+    source: song.source || 'youtube',
+    ...(song.url ? {} : { searchQuery: song.searchQuery ?? null }),
+  };
+}
+
+// Saved playlists, bucketed per user ("user:<id>") or per server ("guild:<id>").
+// Names are matched case-insensitively but stored with their original casing.
+export class PlaylistStore {
+  constructor(store = new JsonStore('playlists.json')) {
+    this.store = store;
+  }
+
+  _bucketKey(scope, { guildId, userId }) {
+    return scope === 'server' ? `guild:${guildId}` : `user:${userId}`;
+  }
+
+  // A copy without a prototype, so names like "constructor" or "__proto__"
+  // are just keys.
+  _bucket(key) {
+    return Object.assign(Object.create(null), this.store.get(key));
+  }
+
+  list(scope, owner) {
+    const bucket = this._bucket(this._bucketKey(scope, owner));
+    return Object.values(bucket).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(scope, owner, name) {
+    const bucket = this._bucket(this._bucketKey(scope, owner));
+    const id = name.toLowerCase();
+    return Object.hasOwn(bucket, id) ? bucket[id] : null;
+  }
+
+  // Returns the saved playlist; throws if the owner is out of slots.
+  save(scope, owner, name, songs, createdBy) {
+    const key = this._bucketKey(scope, owner);
+    const bucket = this._bucket(key);
+    const id = name.toLowerCase();
+    if (!Object.hasOwn(bucket, id) && Object.keys(bucket).length >= MAX_PLAYLISTS_PER_OWNER) {
+      throw new Error(`You can keep at most ${MAX_PLAYLISTS_PER_OWNER} ${scope} playlists. Delete one first.`);
+    }
+    const playlist = {
+      name,
+      tracks: songs.map(serializeTrack),
+      createdBy: bucket[id]?.createdBy || createdBy,
+      updatedAt: Date.now(),
+    };
+    bucket[id] = playlist;
+    this.store.set(key, bucket);
+    return playlist;
+  }
+
+  delete(scope, owner, name) {
+    const key = this._bucketKey(scope, owner);
+    const bucket = this._bucket(key);
+    const id = name.toLowerCase();
+    if (!Object.hasOwn(bucket, id)) return false;
+    delete bucket[id];
+    if (Object.keys(bucket).length) this.store.set(key, bucket);
+    else this.store.delete(key);
+    return true;
+  }
+}
+
+export const playlistStore = new PlaylistStore();
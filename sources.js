@@ -0,0 +1,123 @@
+import ytdlp from 'yt-dlp-exec';
+
+// Non-YouTube link resolvers used by GuildQueue.add. Every track they produce
+// carries a `source` that _playCurrent uses to pick a stream strategy:
+//   youtube    -> play-dl, then yt-dlp + ffmpeg
+//   soundcloud -> yt-dlp + ffmpeg
+//   bandcamp   -> yt-dlp + ffmpeg
+//   http       -> ffmpeg reads the URL directly (files and m3u8/Icecast radio)
+
+const AUDIO_FILE_RE = /\.(mp3|ogg|oga|opus|flac|wav|m4a|aac|m3u8)$/i;
+const AUDIO_CONTENT_TYPE_RE = /^(audio\/|application\/ogg|application\/(vnd\.apple\.mpegurl|x-mpegurl))/i;
+const PROBE_TIMEOUT_MS = 5_000;
+
+function hostMatches(hostname, base) {
+  return hostname === base || hostname.endsWith(`.${base}`);
+}
+
+function parseHttpUrl(raw) {
+  try {
+    const url = new URL(raw);
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch { return null; }
+}
+
+function lastThumbnail(info) {
+  if (info?.thumbnail) return info.thumbnail;
+  return Array.isArray(info?.thumbnails) ? info.thumbnails.slice(-1)[0]?.url || null : null;
+}
+
+// Which resolver handles `raw` based on the URL alone; 'http' here still needs probeAudioUrl.
+export function detectUrlSource(raw) {
+  const url = parseHttpUrl(raw);
+  if (!url) return null;
+  const host = url.hostname.toLowerCase();
+  if (hostMatches(host, 'soundcloud.com')) return 'soundcloud';
+  if (hostMatches(host, 'bandcamp.com')) return 'bandcamp';
+  return 'http';
+}
+
+export function createExternalTrack({ title, url, duration, thumbnail, artist }, source, requestedBy) {
+  if (!parseHttpUrl(url)) return null;
+  return {
+    title: title || url,
+    url,
+    requestedBy,
+    duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+    thumbnail: thumbnail || null,
+    artist: artist || null,
+    source,
+  };
+}
+
+// Checks that a plain link is actually audio. Icecast/Shoutcast servers often
+// reject HEAD, so this starts a GET and drops the body after the headers.
+async function probeAudioUrl(url) {
+  const pathname = parseHttpUrl(url)?.pathname || '';
+  const res = await fetch(url, { method: 'GET', redirect: 'follow', signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  res.body?.cancel().catch(() => {});
+  if (!res.ok) throw new Error(`Link returned HTTP ${res.status}`);
+  const contentType = res.headers.get('content-type') || '';
+  if (!AUDIO_CONTENT_TYPE_RE.test(contentType) && !AUDIO_FILE_RE.test(pathname)) {
+    throw new Error('Unsupported link: expected YouTube, Spotify, SoundCloud, Bandcamp or a direct audio file/stream');
+  }
+  return { icyName: res.headers.get('icy-name') || null, icyDescription: res.headers.get('icy-description') || null };
+}
+
+async function resolveDirectAudio(url, requestedBy) {
+  const { icyName, icyDescription } = await probeAudioUrl(url);
+  const fileName = decodeURIComponent(parseHttpUrl(url).pathname.split('/').pop() || '');
+  const track = createExternalTrack({
+    title: icyName || fileName || url,
+    url,
+    artist: icyDescription,
+  }, 'http', requestedBy);
+  return { title: track.title, isCollection: false, tracks: [track] };
+}
+
+// SoundCloud tracks/sets and Bandcamp tracks/albums all go through yt-dlp;
+// sets are read flat so a large set does not resolve every track up front.
+async function resolveWithYtDlp(url, source, requestedBy, limit) {
+  const json = await ytdlp(url, {
+    dumpSingleJson: true,
+    flatPlaylist: true,
+    noWarnings: true,
+    skipDownload: true,
+    playlistEnd: limit,
+  });
+  const label = source === 'soundcloud' ? 'SoundCloud' : 'Bandcamp';
+  if (!Array.isArray(json?.entries)) {
+    const track = createExternalTrack({
+      title: json?.title,
+      url: json?.webpage_url || url,
+      duration: json?.duration,
+      thumbnail: lastThumbnail(json),
+      artist: json?.artist || json?.uploader || json?.channel,
+    }, source, requestedBy);
+    if (!track) throw new Error(`No playable ${label} track`);
+    return { title: track.title, isCollection: false, tracks: [track] };
+  }
+
+  const collectionArtist = json.artist || json.uploader || json.channel || null;
+  const tracks = [];
+  for (const entry of json.entries.slice(0, limit)) {
+    const track = createExternalTrack({
+      title: entry?.title || `${label} track`,
+      url: entry?.webpage_url || entry?.url,
+      duration: entry?.duration,
+      thumbnail: lastThumbnail(entry) || lastThumbnail(json),
+      artist: entry?.artist || entry?.uploader || collectionArtist,
+    }, source, requestedBy);
+    if (track) tracks.push(track);
+  }
+  if (!tracks.length) throw new Error(`${label} ${source === 'soundcloud' ? 'set' : 'album'} has no playable tracks`);
+  return { title: json.title || `${label} Playlist`, isCollection: true, tracks };
+}
+
+// Resolves a non-YouTube, non-Spotify link into queueable tracks.
+export async function resolveExternalUrl(url, { requestedBy, limit }) {
+  const source = detectUrlSource(url);
+  if (source === 'soundcloud' || source === 'bandcamp') return resolveWithYtDlp(url, source, requestedBy, limit);
+  if (source === 'http') return resolveDirectAudio(url, requestedBy);
+  throw new Error('Unsupported link');
+}
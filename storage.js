@@ -0,0 +1,90 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// All bot state lives in plain JSON files under DATA_DIR (default ./data) so
+// nothing depends on an external database.
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+const openStores = new Set();
+process.once('exit', () => {
+  for (const store of openStores) if (store.dirty) store.flush();
+});
+
+export class JsonStore {
+  constructor(fileName, { saveDelayMs = 1_000 } = {}) {
+    this.filePath = path.join(DATA_DIR, fileName);
+    this.saveDelayMs = saveDelayMs;
+    this.saveTimer = null;
+    this.dirty = false;
+    this.data = {};
+    this._load();
+    openStores.add(this);
+  }
+
+  _load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed === 'object') this.data = parsed;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[storage] failed to read ${this.filePath}:`, err.message);
+    }
+  }
+
+  get(key) {
+    return this.data[key];
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this._scheduleSave();
+    return value;
+  }
+
+  // Shallow-merges `patch` into the object stored under `key`.
+  update(key, patch) {
+    return this.set(key, { ...(this.data[key] || {}), ...patch });
+  }
+
+  delete(key) {
+    if (!(key in this.data)) return false;
+    delete this.data[key];
+    this._scheduleSave();
+    return true;
+  }
+
+  keys() {
+    return Object.keys(this.data);
+  }
+
+  _scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelayMs);
+    this.saveTimer.unref?.();
+  }
+
+  // Writes synchronously through a temp file so a crash mid-write never leaves
+  // a truncated store behind.
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.dirty = false;
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (err) {
+      console.error(`[storage] failed to write ${this.filePath}:`, err.message);
+    }
+  }
+}
+
+// Per-guild preferences (volume, etc.), keyed by guild id.
+export const guildSettings = new JsonStore('guild-settings.json');
@@ -0,0 +1,10 @@
+import { spawnOpusTranscoder } from './ffmpeg.js';
+
+// Plain audio files and radio streams: ffmpeg reads the URL as-is.
+export default {
+  name: 'ffmpeg direct',
+  sources: ['http'],
+  async open(track, { startAt = 0, filter } = {}) {
+    return spawnOpusTranscoder(track.url, { startAt, filter });
+  },
+};
@@ -0,0 +1,84 @@
+import { spawn } from 'node:child_process';
+import { StreamType } from '@discordjs/voice';
+import ffmpegStatic from 'ffmpeg-static';
+
+const FIRST_AUDIO_TIMEOUT_MS = 20_000;
+
+// Spawns ffmpeg to transcode `input` (a URL, or a readable stream piped to
+// stdin) to Ogg/Opus and resolves once the first audio arrives, so a dead URL
+// counts as a failed strategy instead of a track that silently ends. `filter`
+// is an entry from createFilter() whose -af chain is applied on the way.
+export function spawnOpusTranscoder(input, { startAt = 0, filter = null, timeoutMs = FIRST_AUDIO_TIMEOUT_MS } = {}) {
+  const ffmpegPath = process.env.FFMPEG_PATH || ffmpegStatic;
+  const fromStream = typeof input !== 'string';
+  // Skip direct stream - it's unreliable and drops connection mid-playback
+  // Use ffmpeg to properly buffer and transcode the stream
+  const args = [
+    ...(fromStream ? [] : ['-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5']),
+    ...(startAt ? ['-ss', String(startAt)] : []),
+    '-i', fromStream ? 'pipe:0' : input,
+    '-analyzeduration', '0',
+    '-loglevel', 'error',
+    ...(filter?.af ? ['-af', filter.af] : []),
+    '-vn',
+    '-c:a', 'libopus',
+    '-b:a', '128k',
+    '-f', 'ogg',
+    'pipe:1'
+  ];
+  console.log('[ffmpeg encode] spawning with reconnect support...');
+  const proc = spawn(ffmpegPath, args, { stdio: [fromStream ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+  if (fromStream) {
+    // ffmpeg closing its stdin early (skip, stop, failure) is expected, not an error.
+    proc.stdin.on('error', () => {});
+    input.on('error', err => console.warn('[ffmpeg input]', err.message));
+    input.pipe(proc.stdin);
+    proc.once('close', () => input.destroy?.());
+  }
+  let lastStderr = '';
+  proc.stderr.on('data', d => { const m = d.toString().trim(); if (m) { lastStderr = m; console.warn('[ffmpeg]', m); } });
+  proc.on('error', err => console.error('[ffmpeg proc error]', err));
+  proc.on('close', code => { if (code !== 0) console.warn('[ffmpeg exit]', code); });
+  proc.stdout.on('error', err => {
+    if (err.message !== 'aborted') console.error('[ffmpeg stdout error]', err);
+  });
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      proc.stdout.off('data', onData);
+      proc.off('close', onClose);
+      proc.off('error', onError);
+    };
+    const onData = chunk => {
+      cleanup();
+      // Hand the first chunk back so the audio resource sees the whole stream.
+      proc.stdout.pause();
+      proc.stdout.unshift(chunk);
+      resolve({ stream: proc.stdout, type: StreamType.OggOpus });
+    };
+    const onClose = code => {
+      cleanup();
+      reject(new Error(lastStderr || `ffmpeg exited with code ${code} before producing audio`));
+    };
+    const onError = err => {
+      cleanup();
+      reject(err);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      proc.kill('SIGKILL');
+      reject(new Error(`ffmpeg produced no audio within ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+    proc.stdout.on('data', onData);
+    proc.once('close', onClose);
+    proc.once('error', onError);
+  });
+}
+
+// Routes an already-open stream through ffmpeg when a filter is active; used by
+// the play-dl strategies, which otherwise hand their stream straight to Discord.
+export function applyFilter(opened, filter) {
+  if (!filter) return opened;
+  return spawnOpusTranscoder(opened.stream, { filter });
+}
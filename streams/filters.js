@@ -0,0 +1,35 @@
+// Audio filters applied through ffmpeg's -af chain. `speed` is how much faster
+// than normal the filtered track plays, so GuildQueue can convert between
+// wall-clock time and position in the track.
+
+// asetrate only changes speed relative to the rate it is given, so resample to
+// a known rate first (sources arrive at 44.1 or 48 kHz).
+const RATE = 48000;
+const resampled = factor => `aresample=${RATE},asetrate=${RATE}*${factor},aresample=${RATE}`;
+
+export const AUDIO_FILTERS = {
+  bassboost: { label: 'Bass Boost', build: () => ({ af: 'bass=g=12:f=110:w=0.6,alimiter=limit=0.9', speed: 1 }) },
+  nightcore: { label: 'Nightcore', build: () => ({ af: resampled(1.25), speed: 1.25 }) },
+  vaporwave: { label: 'Vaporwave', build: () => ({ af: resampled(0.8), speed: 0.8 }) },
+  '8d': { label: '8D', build: () => ({ af: 'apulsator=hz=0.09', speed: 1 }) },
+  // Tempo only; pitch is kept.
+  speed: { label: 'Speed', amount: { default: 1.25, min: 0.5, max: 2 }, build: amount => ({ af: `atempo=${amount}`, speed: amount }) },
+  // Pitch only; tempo is kept.
+  pitch: { label: 'Pitch', amount: { default: 1.2, min: 0.5, max: 2 }, build: amount => ({ af: `${resampled(amount)},atempo=${(1 / amount).toFixed(4)}`, speed: 1 }) },
+};
+
+export const FILTER_NAMES = Object.keys(AUDIO_FILTERS);
+
+// Returns { name, label, af, speed, amount } or null for an unknown name.
+// `amount` only applies to filters that take one and is clamped to its range.
+export function createFilter(name, amount = null) {
+  const def = AUDIO_FILTERS[name];
+  if (!def) return null;
+  let value = null;
+  if (def.amount) {
+    value = Number.isFinite(amount) ? amount : def.amount.default;
+    value = Math.min(def.amount.max, Math.max(def.amount.min, Math.round(value * 100) / 100));
+  }
+  const { af, speed } = def.build(value);
+  return { name, label: value != null ? `${def.label} ${value}×` : def.label, af, speed, amount: value };
+}
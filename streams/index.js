@@ -0,0 +1,140 @@
+import playdlStream from './playdl.js';
+import playdlInfoStream from './playdl-info.js';
+import ytdlpFfmpegStream from './ytdlp-ffmpeg.js';
+import directFfmpegStream from './direct-ffmpeg.js';
+
+// A strategy is { name, sources, isEnabled?, prepare?, open(track, { startAt, prepared, filter }) }
+// where open resolves to { stream, type } ready for createAudioResource, with
+// `filter` (see filters.js) applied through ffmpeg when set. The
+// optional prepare(track) does the slow lookup (video info, direct media URL)
+// ahead of time; its result is handed back to open as `prepared`.
+
+// After this many consecutive failures a strategy is tried last instead of first...
+const FAILURE_THRESHOLD = Math.max(1, Number(process.env.STREAM_FAILURE_THRESHOLD || '3') || 3);
+// ...until this long has passed since its last failure, then it gets another chance up front.
+const RETRY_AFTER_MS = Math.max(0, Number(process.env.STREAM_RETRY_MINUTES || '10') || 0) * 60_000;
+// Prepared lookups hold signed media URLs, which expire; older ones are ignored.
+const PREPARED_TTL_MS = 20 * 60_000;
+
+function emptyStats() {
+  return {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    totalLatencyMs: 0,
+    lastLatencyMs: null,
+    lastError: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+  };
+}
+
+export class StreamResolverRegistry {
+  constructor({ failureThreshold = FAILURE_THRESHOLD, retryAfterMs = RETRY_AFTER_MS } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.retryAfterMs = retryAfterMs;
+    this.resolvers = [];
+    this.stats = new Map();
+  }
+
+  register(resolver) {
+    this.resolvers.push(resolver);
+    this.stats.set(resolver.name, emptyStats());
+    return this;
+  }
+
+  isDemoted(name) {
+    const stats = this.stats.get(name);
+    if (!stats || stats.consecutiveFailures < this.failureThreshold) return false;
+    return Date.now() - stats.lastFailureAt < this.retryAfterMs;
+  }
+
+  // Strategies for the track's source in registration order, with demoted ones moved to the back.
+  plan(track) {
+    const source = track?.source || 'youtube';
+    const candidates = this.resolvers.filter(r => r.sources.includes(source) && (r.isEnabled?.() ?? true));
+    return [
+      ...candidates.filter(r => !this.isDemoted(r.name)),
+      ...candidates.filter(r => this.isDemoted(r.name)),
+    ];
+  }
+
+  // Runs prepare() for the strategy that will most likely play `track`. Returns
+  // null when that strategy needs no preparation or every prepare step failed.
+  async prepare(track) {
+    for (const resolver of this.plan(track)) {
+      if (!resolver.prepare) return null;
+      try {
+        return { resolver: resolver.name, data: await resolver.prepare(track), preparedAt: Date.now() };
+      } catch (err) {
+        console.warn(`[stream:${resolver.name}] prepare failed:`, err.message);
+      }
+    }
+    return null;
+  }
+
+  async open(track, { prepared, ...options } = {}) {
+    const errors = [];
+    const usablePrepared = prepared && Date.now() - prepared.preparedAt < PREPARED_TTL_MS ? prepared : null;
+    for (const resolver of this.plan(track)) {
+      const startedAt = Date.now();
+      try {
+        const data = usablePrepared?.resolver === resolver.name ? usablePrepared.data : undefined;
+        let opened;
+        try {
+          opened = await resolver.open(track, { ...options, prepared: data });
+        } catch (err) {
+          if (data === undefined) throw err;
+          console.warn(`[stream:${resolver.name}] prepared open failed, retrying without it:`, err.message);
+          opened = await resolver.open(track, options);
+        }
+        this._record(resolver.name, Date.now() - startedAt, null);
+        return { ...opened, resolver: resolver.name };
+      } catch (err) {
+        this._record(resolver.name, Date.now() - startedAt, err);
+        console.error(`[stream:${resolver.name}] failed:`, err.message);
+        errors.push(`${resolver.name}: ${err.message}`);
+      }
+    }
+    throw new Error(errors.length ? errors.join(' | ') : `No stream strategy for source "${track?.source || 'youtube'}"`);
+  }
+
+  _record(name, latencyMs, err) {
+    const stats = this.stats.get(name);
+    if (!stats) return;
+    stats.totalLatencyMs += latencyMs;
+    stats.lastLatencyMs = latencyMs;
+    if (err) {
+      stats.failures += 1;
+      stats.consecutiveFailures += 1;
+      stats.lastError = err.message;
+      stats.lastFailureAt = Date.now();
+    } else {
+      stats.successes += 1;
+      stats.consecutiveFailures = 0;
+      stats.lastSuccessAt = Date.now();
+    }
+  }
+
+  getStats() {
+    return this.resolvers.map(r => {
+      const stats = this.stats.get(r.name);
+      const attempts = stats.successes + stats.failures;
+      return {
+        name: r.name,
+        sources: r.sources,
+        enabled: r.isEnabled?.() ?? true,
+        demoted: this.isDemoted(r.name),
+        attempts,
+        avgLatencyMs: attempts ? Math.round(stats.totalLatencyMs / attempts) : null,
+        ...stats,
+      };
+    });
+  }
+}
+
+export const streamResolvers = new StreamResolverRegistry()
+  .register(playdlStream)
+  .register(playdlInfoStream)
+  .register(ytdlpFfmpegStream)
+  .register(directFfmpegStream);
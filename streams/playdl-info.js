@@ -0,0 +1,16 @@
+import playdl from 'play-dl';
+import { isPlaydlDisabled } from './playdl.js';
+import { applyFilter } from './ffmpeg.js';
+
+// Info fallback: fetch the video info first, then stream from it. Survives some
+// signature changes that break playdl.stream on a bare URL.
+export default {
+  name: 'play-dl info',
+  sources: ['youtube'],
+  isEnabled: () => !isPlaydlDisabled(),
+  async open(track, { startAt = 0, filter } = {}) {
+    const info = await playdl.video_basic_info(track.url);
+    const s = await playdl.stream_from_info(info, startAt ? { seek: startAt } : undefined);
+    return applyFilter({ stream: s.stream, type: s.type }, filter);
+  },
+};
@@ -0,0 +1,22 @@
+import playdl from 'play-dl';
+import { applyFilter } from './ffmpeg.js';
+
+export function isPlaydlDisabled() {
+  return process.env.DISABLE_PLAYDL === '1' || process.env.NO_PLAYDL === '1';
+}
+
+// Primary YouTube strategy: play-dl resolves and streams the URL directly.
+// When prefetched, the video info is already known and only the stream is opened.
+export default {
+  name: 'play-dl',
+  sources: ['youtube'],
+  isEnabled: () => !isPlaydlDisabled(),
+  prepare: track => playdl.video_basic_info(track.url),
+  async open(track, { startAt = 0, prepared, filter } = {}) {
+    const options = startAt ? { seek: startAt } : undefined;
+    const s = prepared
+      ? await playdl.stream_from_info(prepared, options)
+      : await playdl.stream(track.url, options);
+    return applyFilter({ stream: s.stream, type: s.type }, filter);
+  },
+};
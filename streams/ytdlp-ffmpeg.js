@@ -0,0 +1,28 @@
+import ytdlp from 'yt-dlp-exec';
+import { spawnOpusTranscoder } from './ffmpeg.js';
+
+async function extractDirectUrl(url) {
+  const json = await ytdlp(url, { dumpSingleJson:true, noWarnings:true, skipDownload:true, noCallHome:true, format:'bestaudio/best' });
+  let direct = json?.url;
+  if (!direct && Array.isArray(json?.requested_formats)) direct = json.requested_formats.find(f=>f?.url)?.url;
+  if (!direct && Array.isArray(json?.formats)) {
+    const best = json.formats.filter(f=>/audio/i.test(f?.acodec) && !/video/i.test(f?.vcodec)).slice(-1)[0];
+    direct = best?.url;
+  }
+  if (!direct) throw new Error('yt-dlp found no audio URL');
+  console.log('[yt-dlp] direct url length:', direct.length);
+  return direct;
+}
+
+// yt-dlp extracts a direct media URL, ffmpeg transcodes it. Works for every
+// site yt-dlp supports, so it is the fallback for YouTube and the only
+// strategy for SoundCloud and Bandcamp.
+export default {
+  name: 'yt-dlp+ffmpeg',
+  sources: ['youtube', 'soundcloud', 'bandcamp'],
+  prepare: track => extractDirectUrl(track.url),
+  async open(track, { startAt = 0, prepared, filter } = {}) {
+    const direct = prepared || await extractDirectUrl(track.url);
+    return spawnOpusTranscoder(direct, { startAt, filter });
+  },
+};